@@ -1,7 +1,13 @@
-const { Bot, InlineKeyboard } = require('grammy');
-const cron = require('node-cron');
+const { Bot, InlineKeyboard, InputFile } = require('grammy');
 const UserDatabase = require('./database-railway');
 const FilterEngine = require('./filters');
+const ConversationStore = require('./conversation-state');
+const I18n = require('./i18n');
+const MessageQueue = require('./message-queue');
+const { createSwapSource } = require('./swap-sources');
+const SwapSchema = require('./swap-schema');
+const DryRun = require('./dry-run');
+const Scheduler = require('./scheduler');
 
 // Load environment variables
 require('dotenv').config();
@@ -9,24 +15,112 @@ require('dotenv').config();
 class WhaleBot {
   constructor() {
     this.token = process.env.TELEGRAM_BOT_TOKEN;
-    this.apiUrl = process.env.WHALE_API_URL || 'http://localhost:3000/api/swaps';
-    this.pollingInterval = process.env.POLLING_INTERVAL || 10;
+    this.pollingInterval = parseInt(process.env.POLLING_INTERVAL) || 10; // seconds
     
     if (!this.token) {
       console.error('TELEGRAM_BOT_TOKEN not found in environment variables');
       process.exit(1);
     }
 
+    // Where swaps come from: HTTP polling (default), a WebSocket/SSE stream or a JSONL replay
+    try {
+      this.swapSource = createSwapSource(process.env);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    this.swapSchema = new SwapSchema(); // Validates and normalizes every incoming swap
+
+    // Monitoring cycles never overlap; failed cycles back off up to 5 minutes
+    this.scheduler = new Scheduler(() => this.checkForNewSwaps(), { interval: this.pollingInterval * 1000 });
+    // Digests, summaries and follow-ups come from the database, so they run on their own
+    // schedule and aren't held back while the swap source is failing
+    this.deliveryScheduler = new Scheduler(() => this.sendScheduledDeliveries(), { interval: this.pollingInterval * 1000 });
+
     this.bot = new Bot(this.token);
     this.db = new UserDatabase();
-    this.filterEngine = new FilterEngine();
+    this.i18n = new I18n();
+    this.filterEngine = new FilterEngine(this.i18n);
+    this.conversations = new ConversationStore(this.db);
+
+    // Outbound alerts, digests and broadcasts go through a rate-limited delivery queue
+    this.queue = new MessageQueue(this.bot.api);
+    this.pendingDeliveries = new Set(); // digests/summaries in the queue, keyed `${kind}:${chatId}`
 
     // Rate limiting: 500 interactions per user per day
     this.rateLimiter = new Map();
     this.dailyLimit = 500;
 
+    // Named filter profiles per user
+    this.maxProfiles = 10;
+
+    // Bot operators (comma-separated Telegram user ids) who manage global whale labels
+    this.adminIds = (process.env.ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    this.maxWhaleLabels = 100;
+
+    // Admin tooling: banned users/chats (loaded on start) and runtime stats
+    this.bannedIds = new Set();
+    this.broadcastRunning = false;
+    this.stats = { startedAt: Date.now(), alertsSent: 0, alertsFailed: 0 };
+
+    // Group admin checks are cached briefly to avoid a getChatMember call per button press
+    this.adminCache = new Map();
+    this.adminCacheTTL = 60 * 1000;
+
+    // Recent whale swaps kept in memory for inline query lookups
+    this.recentSwaps = [];
+    this.recentSwapSignatures = new Set();
+    this.recentSwapsWindow = 24 * 60 * 60 * 1000; // 24 hours
+    this.maxRecentSwaps = 5000;
+
+    // Alerts muted during quiet hours, summarized when the window ends
+    this.mutedAlerts = new Map();
+
+    // Open per-user, per-token cooldown windows keyed by `${chatId}:${mint}`
+    this.cooldowns = new Map();
+
+    // Both maps are snapshotted to bot_state after each cycle so restarts don't lose them
+    this.savedWindowState = null; // last snapshot written (JSON)
+
+    // Alert action buttons (callback code -> filter list they add to). Buttons carry only
+    // the sent_alerts row id, which is kept for a week
+    this.alertActions = { mt: 'token_blacklist', bw: 'whale_blacklist', wt: 'token_whitelist' };
+    this.sentAlertsRetentionDays = 7;
+    this.lastHistoryPrune = 0;
+
+    // Swaps are claimed per user before delivery so overlapping API windows and restarts never
+    // repeat an alert. Delivery is at-most-once: an alert still in the in-memory queue at a
+    // restart, or one that fails for good, is not retried. Swaps older than the persisted cursor
+    // (newest swap time seen) minus a short grace window are skipped; the window covers clock
+    // skew and swaps the API indexes a little late
+    this.deliveredSwapsRetentionHours = 48;
+    this.swapCursor = null; // ms timestamp, loaded on start
+    this.swapCursorGrace = 2 * 60 * 1000; // 2 minutes
+
+    // Delivery modes: real-time alerts or a periodic digest (names in the message catalog)
+    this.deliveryModes = ['realtime', 'digest_1h', 'digest_4h', 'digest_24h'];
+
+    // Filter types shown in /filters and the filter browser, in display order
+    // (names come from the message catalog as filterGroup.<type>)
+    this.filterGroups = [
+      'token_whitelist',
+      'min_purchase',
+      'max_market_cap',
+      'min_market_cap',
+      'min_liquidity',
+      'price_change_range',
+      'direction',
+      'token_blacklist',
+      'whale_blacklist',
+      'whale_watchlist',
+      'token_cooldown'
+    ];
+
+    // Single-value filters whose value can be edited in place from the filter browser
+    this.editableFilters = ['min_purchase', 'max_market_cap', 'min_market_cap', 'min_liquidity'];
+    this.filtersPerPage = 8;
+
     this.setupCommands();
-    this.startMonitoring();
   }
 
   // Check if user has exceeded daily rate limit
@@ -45,31 +139,139 @@ class WhaleBot {
     return true; // OK to proceed
   }
 
+  // Only admins can configure group/supergroup/channel chats; private chats are always allowed
+  async isChatAdmin(ctx) {
+    if (ctx.chat.type === 'private') {
+      return true;
+    }
+
+    // Channel posts and anonymous group admins are sent on behalf of the chat itself.
+    // Not for button presses: there ctx.msg is the bot's own message (which in a channel
+    // carries the channel as sender_chat), so the presser is checked below
+    if (!ctx.callbackQuery && ctx.msg?.sender_chat?.id === ctx.chat.id) {
+      return true;
+    }
+
+    if (!ctx.from) {
+      return false;
+    }
+
+    const cacheKey = `${ctx.chat.id}:${ctx.from.id}`;
+    const cached = this.adminCache.get(cacheKey);
+    if (cached && (Date.now() - cached.timestamp) < this.adminCacheTTL) {
+      return cached.isAdmin;
+    }
+
+    try {
+      const member = await ctx.api.getChatMember(ctx.chat.id, ctx.from.id);
+      const isAdmin = member.status === 'creator' || member.status === 'administrator';
+      this.adminCache.set(cacheKey, { isAdmin, timestamp: Date.now() });
+      return isAdmin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Whale address -> label for a chat (optionally only for some whales).
+  // The chat's own labels override global ones.
+  async getWhaleLabelMap(chatId, whales = null) {
+    const labels = new Map();
+    try {
+      const rows = await this.db.getWhaleLabels([0, chatId], whales);
+      rows.filter(row => String(row.owner_id) === '0').forEach(row => labels.set(row.whale, row.label));
+      rows.filter(row => String(row.owner_id) !== '0').forEach(row => labels.set(row.whale, row.label));
+    } catch (error) {
+      // Silent error handling - addresses are shown instead
+    }
+    return labels;
+  }
+
+  // Bot operators listed in ADMIN_IDS (not the same as chat admins)
+  isBotAdmin(ctx) {
+    return !!ctx.from && this.adminIds.includes(String(ctx.from.id));
+  }
+
+  // Language of the current chat: the saved choice, else the sender's Telegram language.
+  // The default is saved so alerts (which have no sender) use it too.
+  async getLocale(ctx) {
+    const fallback = this.i18n.resolveLocale(ctx.from?.language_code);
+    if (!ctx.chat) {
+      return fallback; // Inline queries
+    }
+
+    try {
+      const saved = await this.db.getLanguage(ctx.chat.id);
+      if (this.i18n.isSupported(saved)) {
+        return saved;
+      }
+      await this.db.setLanguage(ctx.chat.id, fallback);
+    } catch (error) {
+      // Silent error handling - use the sender's language
+    }
+    return fallback;
+  }
+
+  // Language for messages sent outside an update (alerts, digests, summaries)
+  async getChatLocale(chatId) {
+    try {
+      const saved = await this.db.getLanguage(chatId);
+      return this.i18n.isSupported(saved) ? saved : this.i18n.defaultLocale;
+    } catch (error) {
+      return this.i18n.defaultLocale;
+    }
+  }
+
+  // Language of a user row that includes its language column
+  getUserLocale(user) {
+    return this.i18n.isSupported(user.language) ? user.language : this.i18n.defaultLocale;
+  }
+
+  // Forum topic of the current message (undefined outside topics)
+  getThreadId(ctx) {
+    return ctx.msg?.is_topic_message ? ctx.msg.message_thread_id : undefined;
+  }
+
   setupCommands() {
+    // Banned users and chats are ignored entirely (bot admins can't lock themselves out)
+    this.bot.use(async (ctx, next) => {
+      const banned = this.bannedIds.has(String(ctx.from?.id)) || this.bannedIds.has(String(ctx.chat?.id));
+      if (banned && !this.isBotAdmin(ctx)) return;
+      await next();
+    });
+
+    // Resolve the chat's language once per update, available to handlers as ctx.locale
+    this.bot.use(async (ctx, next) => {
+      ctx.locale = await this.getLocale(ctx);
+      await next();
+    });
+
     // Start command
     this.bot.command('start', async (ctx) => {
       const chatId = ctx.chat.id;
-      const username = ctx.from.username;
+      const username = ctx.from?.username || ctx.chat.username || ctx.chat.title;
 
       // Check rate limit
       if (!this.checkRateLimit(chatId)) {
-        await ctx.reply('⚠️ Daily limit exceeded (500 interactions/day). Try again tomorrow!');
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.rateLimited', { limit: this.dailyLimit }));
         return;
       }
 
-      await this.db.addUser(chatId, username);
-      
-      const welcomeMessage = `🐋 Welcome to Whale Tracker Bot!
-
-I monitor Solana whale transactions and send personalized alerts.
+      if (!(await this.isChatAdmin(ctx))) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.adminOnly'));
+        return;
+      }
 
-**⚠️ Bot starts OFF by default**
-Use /menu to:
-• Turn the bot ON 🔔
-• Choose: All Tokens or Token Filter mode
-• Configure your filters
+      await this.db.addUser(chatId, username);
+      // Users who had blocked the bot get alerts again
+      await this.db.setUserStatus(chatId, 'active');
 
-Get started with /menu!`;
+      // Forum topics: alerts go to every topic where /start was run
+      const threadId = this.getThreadId(ctx);
+      if (threadId) {
+        await this.db.addChatTopic(chatId, threadId);
+      }
+      
+      const welcomeMessage = this.i18n.t(ctx.locale, 'start.welcome');
 
       await ctx.reply(welcomeMessage);
     });
@@ -78,30 +280,43 @@ Get started with /menu!`;
     this.bot.command('menu', async (ctx) => {
       // Check rate limit
       if (!this.checkRateLimit(ctx.chat.id)) {
-        await ctx.reply('⚠️ Daily limit exceeded (500 interactions/day). Try again tomorrow!');
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.rateLimited', { limit: this.dailyLimit }));
+        return;
+      }
+
+      if (!(await this.isChatAdmin(ctx))) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.adminOnly'));
         return;
       }
 
-      this.showMainMenu(ctx.chat.id);
+      this.showMainMenu(ctx.chat.id, this.getThreadId(ctx), ctx.locale);
     });
 
-    // Help command
-    this.bot.command('help', async (ctx) => {
-      const helpText = `🐋 Whale Tracker Bot Help
+    // Stop command: remove the current forum topic as an alert destination
+    this.bot.command('stop', async (ctx) => {
+      const chatId = ctx.chat.id;
+      const threadId = this.getThreadId(ctx);
 
-Commands:
-/start - Initialize your account
-/menu - Configure filters and settings
-/filters - View your current filters
-/help - Show this help message
+      if (!(await this.isChatAdmin(ctx))) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.adminOnly'));
+        return;
+      }
+
+      if (!threadId) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'stop.notTopic'));
+        return;
+      }
 
-Filter Types:
-• Token Whitelist - Track specific tokens only
-• Minimum Purchase - Set USD threshold for alerts
-• Maximum Market Cap - Filter out high market cap tokens
-• Token Blacklist - Ignore specific tokens
+      await this.db.removeChatTopic(chatId, threadId);
+      await ctx.reply(this.i18n.t(ctx.locale, 'stop.done'));
+    });
 
-The bot monitors whale transactions every ${this.pollingInterval} seconds and sends alerts when transactions match your filters.`;
+    // Help command
+    this.bot.command('help', async (ctx) => {
+      const helpText = this.i18n.t(ctx.locale, 'help.text', {
+        botUsername: ctx.me.username,
+        interval: this.pollingInterval
+      });
 
       await ctx.reply(helpText);
     });
@@ -112,421 +327,2169 @@ The bot monitors whale transactions every ${this.pollingInterval} seconds and se
       const filters = await this.db.getUserFilters(chatId);
       
       if (filters.length === 0) {
-        await ctx.reply('❌ You have no active filters. Use /menu to set up filters.');
+        await ctx.reply(this.i18n.t(ctx.locale, 'filters.none'));
+        return;
+      }
+
+      const whaleLabels = await this.getWhaleLabelMap(chatId);
+      let filtersText = `${this.i18n.t(ctx.locale, 'filters.title')}\n\n`;
+      
+      for (const type of this.filterGroups) {
+        const typeFilters = filters.filter(f => f.filter_type === type);
+        if (typeFilters.length > 0) {
+          filtersText += `${this.i18n.t(ctx.locale, `filterGroup.${type}`)}:\n`;
+          typeFilters.forEach(filter => {
+            filtersText += `  • ${this.formatFilterValue(filter, ctx.locale, whaleLabels)}\n`;
+          });
+          filtersText += '\n';
+        }
+      }
+
+      await ctx.reply(filtersText);
+    });
+
+    // Profile command: /profile save|load|list|delete <name>
+    this.bot.command('profile', async (ctx) => {
+      const chatId = ctx.chat.id;
+
+      // Check rate limit
+      if (!this.checkRateLimit(chatId)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.rateLimited', { limit: this.dailyLimit }));
+        return;
+      }
+
+      if (!(await this.isChatAdmin(ctx))) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.adminOnly'));
+        return;
+      }
+
+      const [action, ...nameParts] = (ctx.match || '').trim().split(/\s+/);
+      const profileName = nameParts.join(' ');
+
+      try {
+        if (!action || action === 'list') {
+          await this.showProfiles(chatId, this.getThreadId(ctx), ctx.locale);
+          return;
+        }
+
+        if (!['save', 'load', 'delete'].includes(action)) {
+          await ctx.reply(this.i18n.t(ctx.locale, 'profile.usage'));
+          return;
+        }
+
+        if (!/^[\w -]{1,32}$/.test(profileName)) {
+          await ctx.reply(this.i18n.t(ctx.locale, 'profile.invalidName'));
+          return;
+        }
+
+        if (action === 'save') {
+          const profiles = await this.db.getProfiles(chatId);
+          const exists = profiles.some(p => p.profile_name === profileName);
+          if (!exists && profiles.length >= this.maxProfiles) {
+            await ctx.reply(this.i18n.t(ctx.locale, 'profile.limit', { max: this.maxProfiles }));
+            return;
+          }
+
+          // Notification state is not part of a profile - loading one keeps Pingooor ON/OFF as is
+          const filters = (await this.db.getUserFilters(chatId))
+            .filter(f => f.filter_type !== 'notifications_enabled')
+            .map(f => ({ filter_type: f.filter_type, filter_value: f.filter_value }));
+
+          await this.db.saveProfile(chatId, profileName, filters);
+          await this.db.setActiveProfile(chatId, profileName);
+          await ctx.reply(this.i18n.t(ctx.locale, 'profile.saved', { name: profileName, count: filters.length }));
+
+        } else if (action === 'load') {
+          const profile = await this.db.getProfile(chatId, { name: profileName });
+          if (!profile) {
+            await ctx.reply(this.i18n.t(ctx.locale, 'profile.notFoundHint', { name: profileName }));
+            return;
+          }
+          await this.loadProfile(chatId, profile);
+          await ctx.reply(this.i18n.t(ctx.locale, 'profile.loaded', { name: profile.profile_name }));
+
+        } else if (action === 'delete') {
+          const removed = await this.db.deleteProfile(chatId, profileName);
+          if (!removed) {
+            await ctx.reply(this.i18n.t(ctx.locale, 'profile.notFound', { name: profileName }));
+            return;
+          }
+          if (await this.db.getActiveProfile(chatId) === profileName) {
+            await this.db.setActiveProfile(chatId, null);
+          }
+          await ctx.reply(this.i18n.t(ctx.locale, 'profile.deleted', { name: profileName }));
+        }
+      } catch (error) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'profile.error'));
+      }
+    });
+
+    // Quiet command: /quiet <HH:MM-HH:MM> [timezone] [mute|silent] [summary|nosummary] or /quiet off
+    this.bot.command('quiet', async (ctx) => {
+      const chatId = ctx.chat.id;
+
+      // Check rate limit
+      if (!this.checkRateLimit(chatId)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.rateLimited', { limit: this.dailyLimit }));
+        return;
+      }
+
+      if (!(await this.isChatAdmin(ctx))) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.adminOnly'));
+        return;
+      }
+
+      const args = (ctx.match || '').trim().split(/\s+/).filter(Boolean);
+
+      try {
+        if (args.length === 0) {
+          const processedFilters = this.filterEngine.processFilters(await this.db.getUserFilters(chatId));
+          const quiet = processedFilters.quiet_hours;
+          await ctx.reply(quiet
+            ? this.i18n.t(ctx.locale, 'quiet.status', {
+              label: quiet.label,
+              mode: this.i18n.t(ctx.locale, `quiet.mode.${processedFilters.quiet_mode}`),
+              summary: processedFilters.quiet_summary ? this.i18n.t(ctx.locale, 'quiet.withSummary') : ''
+            })
+            : this.i18n.t(ctx.locale, 'quiet.off'));
+          return;
+        }
+
+        if (args[0] === 'off') {
+          await this.db.clearFilters(chatId, 'quiet_hours');
+          await this.db.clearFilters(chatId, 'quiet_mode');
+          await this.db.clearFilters(chatId, 'quiet_summary');
+          await ctx.reply(this.i18n.t(ctx.locale, 'quiet.disabled'));
+          return;
+        }
+
+        const [range, ...options] = args;
+        let timezone = 'UTC';
+        let mode = 'mute';
+        let summary = true;
+
+        for (const option of options) {
+          if (option === 'mute' || option === 'silent') {
+            mode = option;
+          } else if (option === 'summary' || option === 'nosummary') {
+            summary = option === 'summary';
+          } else {
+            timezone = option;
+          }
+        }
+
+        const quietHours = this.filterEngine.parseQuietHours(`${range} ${timezone}`);
+        if (!quietHours) {
+          await ctx.reply(this.i18n.t(ctx.locale, 'quiet.usage'));
+          return;
+        }
+
+        await this.db.clearFilters(chatId, 'quiet_hours');
+        await this.db.clearFilters(chatId, 'quiet_mode');
+        await this.db.clearFilters(chatId, 'quiet_summary');
+        await this.db.addFilter(chatId, 'quiet_hours', quietHours.label);
+        await this.db.addFilter(chatId, 'quiet_mode', mode);
+        await this.db.addFilter(chatId, 'quiet_summary', summary.toString());
+
+        let details = 'quiet.setSilent';
+        if (mode === 'mute') {
+          details = summary ? 'quiet.setMuteSummary' : 'quiet.setMute';
+        }
+        await ctx.reply(this.i18n.t(ctx.locale, 'quiet.set', {
+          label: quietHours.label,
+          details: this.i18n.t(ctx.locale, details)
+        }));
+      } catch (error) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'quiet.error'));
+      }
+    });
+
+    // Label command: /label [global] <whale address> <name>
+    this.bot.command('label', async (ctx) => {
+      const chatId = ctx.chat.id;
+
+      // Check rate limit
+      if (!this.checkRateLimit(chatId)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.rateLimited', { limit: this.dailyLimit }));
+        return;
+      }
+
+      if (!(await this.isChatAdmin(ctx))) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.adminOnly'));
+        return;
+      }
+
+      const match = /^(?:(global)\s+)?(\S+)\s+(.+)$/.exec((ctx.match || '').trim());
+      if (!match) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'label.usage'));
+        return;
+      }
+
+      const [, global, address, name] = match;
+      const label = name.trim();
+
+      if (global && !this.isBotAdmin(ctx)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'label.adminOnly'));
+        return;
+      }
+      if (!this.filterEngine.isValidMint(address)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'label.invalidAddress'));
+        return;
+      }
+      if (!this.filterEngine.isValidWhaleLabel(label)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'label.invalidName', { max: this.filterEngine.MAX_LABEL_LENGTH }));
+        return;
+      }
+
+      try {
+        if (!global) {
+          const labels = await this.db.getWhaleLabels([chatId]);
+          if (labels.length >= this.maxWhaleLabels && !labels.some(l => l.whale === address)) {
+            await ctx.reply(this.i18n.t(ctx.locale, 'label.limit', { max: this.maxWhaleLabels }));
+            return;
+          }
+        }
+
+        await this.db.setWhaleLabel(global ? 0 : chatId, address, label);
+        await ctx.reply(this.i18n.t(ctx.locale, global ? 'label.savedGlobal' : 'label.saved', { address, label }));
+      } catch (error) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'label.error'));
+      }
+    });
+
+    // Unlabel command: /unlabel [global] <whale address>
+    this.bot.command('unlabel', async (ctx) => {
+      const chatId = ctx.chat.id;
+
+      // Check rate limit
+      if (!this.checkRateLimit(chatId)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.rateLimited', { limit: this.dailyLimit }));
+        return;
+      }
+
+      if (!(await this.isChatAdmin(ctx))) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.adminOnly'));
+        return;
+      }
+
+      const match = /^(?:(global)\s+)?(\S+)$/.exec((ctx.match || '').trim());
+      if (!match) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'label.usage'));
+        return;
+      }
+
+      const [, global, address] = match;
+      if (global && !this.isBotAdmin(ctx)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'label.adminOnly'));
+        return;
+      }
+
+      try {
+        const removed = await this.db.removeWhaleLabel(global ? 0 : chatId, address);
+        await ctx.reply(this.i18n.t(ctx.locale, removed ? 'label.removed' : 'label.notFound', { address }));
+      } catch (error) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'label.error'));
+      }
+    });
+
+    // Labels command: list this chat's whale labels and the global ones
+    this.bot.command('labels', async (ctx) => {
+      const chatId = ctx.chat.id;
+
+      try {
+        const labels = await this.db.getWhaleLabels([chatId, 0]);
+        if (labels.length === 0) {
+          await ctx.reply(this.i18n.t(ctx.locale, 'labels.empty'));
+          return;
+        }
+
+        const format = (rows) => rows.map(row => `  • ${row.label}: ${row.whale}`).join('\n');
+        const own = labels.filter(row => String(row.owner_id) !== '0');
+        const shared = labels.filter(row => String(row.owner_id) === '0');
+
+        let labelsText = '';
+        if (own.length > 0) {
+          labelsText += `${this.i18n.t(ctx.locale, 'labels.title')}\n${format(own)}\n\n`;
+        }
+        if (shared.length > 0) {
+          labelsText += `${this.i18n.t(ctx.locale, 'labels.globalTitle')}\n${format(shared)}\n\n`;
+        }
+
+        await ctx.reply(labelsText.trim());
+      } catch (error) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'label.error'));
+      }
+    });
+
+    // Stats command (bot admins): users, alerts and the last poll
+    this.bot.command('stats', async (ctx) => {
+      if (!this.isBotAdmin(ctx)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.only'));
+        return;
+      }
+
+      try {
+        const users = await this.db.getUserStats();
+        const alerts24h = await this.db.getSentAlertStatusCounts(24);
+
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.stats', {
+          users: users.total,
+          active: users.active,
+          banned: users.banned,
+          blocked: users.blocked,
+          deactivated: users.deactivated,
+          chatNotFound: users.chatNotFound,
+          sent24h: alerts24h.sent,
+          failed24h: alerts24h.failed,
+          queued24h: alerts24h.queued,
+          alertsSent: this.stats.alertsSent,
+          alertsFailed: this.stats.alertsFailed,
+          queueSize: this.queue.size,
+          queueRetried: this.queue.counts.retried,
+          queueRateLimited: this.queue.counts.rateLimited,
+          poll: this.formatLastPoll(ctx.locale),
+          swapsAccepted: this.swapSchema.accepted,
+          swapsRejected: this.formatRejections(ctx.locale),
+          uptime: this.formatDuration(Date.now() - this.stats.startedAt)
+        }));
+      } catch (error) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.error'));
+      }
+    });
+
+    // Broadcast command (bot admins): /broadcast <message> shows a preview to confirm
+    this.bot.command('broadcast', async (ctx) => {
+      if (!this.isBotAdmin(ctx)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.only'));
+        return;
+      }
+
+      const text = (ctx.match || '').trim();
+      if (!text) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.broadcastUsage'));
+        return;
+      }
+      if (this.broadcastRunning) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.broadcastBusy'));
+        return;
+      }
+
+      // The preview is sent exactly as users will get it, which also checks the Markdown
+      try {
+        await ctx.reply(text, { parse_mode: 'Markdown', disable_web_page_preview: true });
+      } catch (error) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.broadcastInvalid'));
+        return;
+      }
+
+      try {
+        const recipients = (await this.db.getAllUsers()).length;
+        await this.conversations.set(ctx, { action: 'broadcast', text });
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.broadcastConfirm', { count: recipients }), {
+          reply_markup: new InlineKeyboard()
+            .text(this.i18n.t(ctx.locale, 'admin.broadcastSend'), 'bc_send')
+            .text(this.i18n.t(ctx.locale, 'common.cancel'), 'input_cancel')
+        });
+      } catch (error) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.error'));
+      }
+    });
+
+    // Ban / unban commands (bot admins): /ban <telegram id>
+    this.bot.command(['ban', 'unban'], async (ctx) => {
+      if (!this.isBotAdmin(ctx)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.only'));
+        return;
+      }
+
+      // Commands also match captions, so the command may be in either
+      const ban = (ctx.msg.text ?? ctx.msg.caption).startsWith('/ban');
+      const targetId = (ctx.match || '').trim();
+      if (!/^-?\d+$/.test(targetId)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.banUsage'));
         return;
       }
+      if (ban && this.adminIds.includes(targetId)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.cannotBanAdmin'));
+        return;
+      }
+
+      try {
+        await this.db.setBanned(targetId, ban);
+        if (ban) {
+          this.bannedIds.add(targetId);
+        } else {
+          this.bannedIds.delete(targetId);
+        }
+        await ctx.reply(this.i18n.t(ctx.locale, ban ? 'admin.banned' : 'admin.unbanned', { id: targetId }));
+      } catch (error) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'admin.error'));
+      }
+    });
+
+    // Template command: choose the alert layout
+    this.bot.command('template', async (ctx) => {
+      const chatId = ctx.chat.id;
+
+      // Check rate limit
+      if (!this.checkRateLimit(chatId)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.rateLimited', { limit: this.dailyLimit }));
+        return;
+      }
+
+      if (!(await this.isChatAdmin(ctx))) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.adminOnly'));
+        return;
+      }
+
+      await this.showTemplateSettings(chatId, this.getThreadId(ctx), ctx.locale);
+    });
+
+    // Export command: send full filter set as a JSON document
+    this.bot.command('export', async (ctx) => {
+      const chatId = ctx.chat.id;
+
+      // Check rate limit
+      if (!this.checkRateLimit(chatId)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.rateLimited', { limit: this.dailyLimit }));
+        return;
+      }
+
+      try {
+        const filters = await this.db.getUserFilters(chatId);
+        const exported = this.filterEngine.buildExport(filters);
+        const json = JSON.stringify(exported, null, 2);
+
+        await ctx.replyWithDocument(new InputFile(Buffer.from(json), 'whale-filters.json'), {
+          caption: this.i18n.t(ctx.locale, 'export.caption')
+        });
+      } catch (error) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'export.error'));
+      }
+    });
+
+    // Import command: accepts a replied-to JSON message/file, or prompts for one
+    this.bot.command('import', async (ctx) => {
+      const chatId = ctx.chat.id;
+
+      // Check rate limit
+      if (!this.checkRateLimit(chatId)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.rateLimited', { limit: this.dailyLimit }));
+        return;
+      }
+
+      if (!(await this.isChatAdmin(ctx))) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.adminOnly'));
+        return;
+      }
+
+      const repliedTo = ctx.msg.reply_to_message;
+      const inlineJson = (ctx.match || '').trim();
+
+      // A file sent with /import as its caption also lands here (commands match captions)
+      if (ctx.msg.document) {
+        await this.conversations.clear(ctx);
+        await this.importFilters(ctx, await this.downloadImportFile(ctx.msg.document));
+      } else if (inlineJson) {
+        await this.importFilters(ctx, inlineJson);
+      } else if (repliedTo?.document) {
+        await this.importFilters(ctx, await this.downloadImportFile(repliedTo.document));
+      } else if (repliedTo?.text) {
+        await this.importFilters(ctx, repliedTo.text);
+      } else {
+        await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.import'), { action: 'import' });
+      }
+    });
+
+    // Handle JSON file uploads answering the /import prompt
+    this.bot.on(['message:document', 'channel_post:document'], async (ctx) => {
+      const state = await this.conversations.get(ctx);
+
+      if (state?.action !== 'import') return;
+      if (!(await this.isChatAdmin(ctx))) return;
+
+      await this.conversations.clear(ctx);
+
+      await this.importFilters(ctx, await this.downloadImportFile(ctx.msg.document));
+    });
+
+    // Language command: /language shows the choices, /language <code> switches directly
+    this.bot.command('language', async (ctx) => {
+      const chatId = ctx.chat.id;
+
+      // Check rate limit
+      if (!this.checkRateLimit(chatId)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.rateLimited', { limit: this.dailyLimit }));
+        return;
+      }
+
+      if (!(await this.isChatAdmin(ctx))) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.adminOnly'));
+        return;
+      }
+
+      const code = (ctx.match || '').trim().toLowerCase();
+
+      if (!code) {
+        const keyboard = new InlineKeyboard();
+        for (const locale of this.i18n.locales) {
+          const { meta } = this.i18n.getCatalog(locale);
+          keyboard.text(`${locale === ctx.locale ? '✅' : meta.flag} ${meta.name}`, `lang_${locale}`).row();
+        }
+
+        await ctx.reply(this.i18n.t(ctx.locale, 'language.choose', { language: this.i18n.getLanguageName(ctx.locale) }), {
+          reply_markup: keyboard
+        });
+        return;
+      }
+
+      if (!this.i18n.isSupported(code)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'language.unknown', { code, locales: this.i18n.locales.join(', ') }));
+        return;
+      }
+
+      await this.setChatLanguage(ctx, code);
+      await ctx.reply(this.i18n.t(code, 'language.set'));
+    });
+
+    // Cancel command: drop any pending prompt
+    this.bot.command('cancel', async (ctx) => {
+      const cleared = await this.conversations.clear(ctx);
+      await ctx.reply(this.i18n.t(ctx.locale, cleared ? 'common.cancelled' : 'cancel.nothing'));
+    });
+
+    // Inline query: @bot <symbol or mint> returns recent whale activity for matching tokens
+    this.bot.on('inline_query', async (ctx) => {
+      const query = ctx.inlineQuery.query.trim();
+
+      if (!query || !this.checkRateLimit(ctx.from.id)) {
+        await ctx.answerInlineQuery([], { cache_time: 5 });
+        return;
+      }
+
+      try {
+        // Inline queries have no chat, so the sender's private-chat labels are used
+        const whaleLabels = await this.getWhaleLabelMap(ctx.from.id);
+        const tokens = this.findRecentTokens(query).slice(0, 5);
+
+        // Telegram only accepts an answer for a few seconds, so token data is fetched in
+        // parallel and a slow lookup just leaves the market cap unknown
+        const tokenDataList = await Promise.all(tokens.map(token => this.getTokenDataWithin(token.mint, token.symbol, 2000)));
+
+        const results = [];
+        tokens.forEach((token, index) => {
+          const tokenData = tokenDataList[index];
+          const buys = token.swaps.filter(s => s.isBuy).length;
+          const sells = token.swaps.length - buys;
+
+          results.push({
+            type: 'article',
+            id: token.mint.slice(0, 64),
+            title: this.i18n.t(ctx.locale, 'inline.title', { symbol: token.symbol, buys, sells }),
+            description: this.i18n.t(ctx.locale, 'inline.description', {
+              marketCap: this.filterEngine.formatMarketCap(tokenData?.marketCap, ctx.locale),
+              mint: token.mint
+            }),
+            input_message_content: {
+              message_text: this.filterEngine.formatTokenActivity(token.symbol, token.mint, token.swaps, tokenData, ctx.locale, whaleLabels),
+              parse_mode: 'Markdown',
+              disable_web_page_preview: true
+            }
+          });
+        });
+
+        if (results.length === 0) {
+          results.push({
+            type: 'article',
+            id: 'no_results',
+            title: this.i18n.t(ctx.locale, 'inline.noResultsTitle', { query }),
+            description: this.i18n.t(ctx.locale, 'inline.noResultsDescription'),
+            input_message_content: {
+              message_text: this.i18n.t(ctx.locale, 'inline.noResultsMessage', { query })
+            }
+          });
+        }
+
+        await ctx.answerInlineQuery(results, { cache_time: 30 });
+      } catch (error) {
+        await ctx.answerInlineQuery([], { cache_time: 5 });
+      }
+    });
+
+    // Handle callback queries (inline keyboard buttons)
+    this.bot.on('callback_query', async (ctx) => {
+      const data = ctx.callbackQuery.data;
+      const chatId = ctx.chat.id;
+      const threadId = this.getThreadId(ctx);
+
+      // Check rate limit for button interactions
+      if (!this.checkRateLimit(chatId)) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'common.rateLimited', { limit: this.dailyLimit }));
+        await ctx.answerCallbackQuery();
+        return;
+      }
+
+      // Only admins can press settings buttons in groups and channels
+      if (!(await this.isChatAdmin(ctx))) {
+        await ctx.answerCallbackQuery({ text: this.i18n.t(ctx.locale, 'common.adminOnlyButton'), show_alert: true });
+        return;
+      }
+
+      try {
+        if (data === 'add_token') {
+          await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.token_whitelist'), { action: 'add_filter', filterType: 'token_whitelist' });
+          
+        } else if (data === 'add_min_purchase') {
+          await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.min_purchase'), { action: 'add_filter', filterType: 'min_purchase' });
+          
+        } else if (data === 'add_max_market_cap') {
+          await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.max_market_cap'), { action: 'add_filter', filterType: 'max_market_cap' });
+          
+        } else if (data === 'add_min_market_cap') {
+          await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.min_market_cap'), { action: 'add_filter', filterType: 'min_market_cap' });
+
+        } else if (data === 'add_min_liquidity') {
+          await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.min_liquidity'), { action: 'add_filter', filterType: 'min_liquidity' });
+
+        } else if (data === 'add_price_change_range') {
+          await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.price_change_range'), { action: 'add_filter', filterType: 'price_change_range' });
+
+        } else if (data === 'add_blacklist') {
+          await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.token_blacklist'), { action: 'add_filter', filterType: 'token_blacklist' });
+          
+        } else if (data === 'add_whale_blacklist') {
+          await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.whale_blacklist'), { action: 'add_filter', filterType: 'whale_blacklist' });
+          
+        } else if (data === 'add_whale_watchlist') {
+          await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.whale_watchlist'), { action: 'add_filter', filterType: 'whale_watchlist' });
+          
+        } else if (data === 'add_token_cooldown') {
+          await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.token_cooldown'), { action: 'add_filter', filterType: 'token_cooldown' });
+
+        } else if (data === 'cycle_cooldown_followup') {
+          const filters = await this.db.getUserFilters(chatId);
+          const processedFilters = this.filterEngine.processFilters(filters);
+          const nextValue = processedFilters.cooldown_followup === 'edit' ? 'message' : 'edit';
+
+          await this.db.clearFilters(chatId, 'cooldown_followup');
+          await this.db.addFilter(chatId, 'cooldown_followup', nextValue);
+
+          await ctx.reply(this.i18n.t(ctx.locale, nextValue === 'edit' ? 'cooldown.followupEdit' : 'cooldown.followupMessage'));
+
+          // Small delay to ensure database update completes
+          setTimeout(() => {
+            this.showMainMenu(chatId, threadId, ctx.locale);
+          }, 100);
+
+        } else if (data === 'alert_template') {
+          await this.showTemplateSettings(chatId, threadId, ctx.locale);
+
+        } else if (data.startsWith('tpl_set_')) {
+          const style = data.replace('tpl_set_', '');
+          const processedFilters = this.filterEngine.processFilters(await this.db.getUserFilters(chatId));
+
+          if (style === 'custom' && !processedFilters.custom_template) {
+            // Nothing to switch to yet - ask for the template first
+            await this.askForCustomTemplate(ctx);
+          } else if (this.filterEngine.ALERT_TEMPLATES.includes(style)) {
+            await this.db.clearFilters(chatId, 'alert_template');
+            await this.db.addFilter(chatId, 'alert_template', style);
+
+            await ctx.reply(this.i18n.t(ctx.locale, 'template.changed', { style: this.i18n.t(ctx.locale, `templateStyle.${style}`) }));
+            await this.showTemplateSettings(chatId, threadId, ctx.locale, ctx.callbackQuery.message.message_id);
+          }
+
+        } else if (data === 'tpl_edit') {
+          await this.askForCustomTemplate(ctx);
+
+        } else if (data === 'tpl_preview') {
+          await this.sendTemplatePreview(ctx);
+
+        } else if (data === 'view_filters') {
+          await this.showFilters(chatId, threadId, 0, null, ctx.locale);
+          
+        } else if (data === 'cycle_monitor_mode') {
+          const filters = await this.db.getUserFilters(chatId);
+          const processedFilters = this.filterEngine.processFilters(filters);
+
+          // Determine current mode
+          const currentMode = this.getMonitorMode(processedFilters);
+
+          // Cycle to next mode: all_tokens → token_filter → first_mention → whale_watch → all_tokens
+          let nextMode;
+          if (currentMode === 'all_tokens') {
+            nextMode = 'token_filter';
+          } else if (currentMode === 'token_filter') {
+            nextMode = 'first_mention';
+          } else if (currentMode === 'first_mention') {
+            nextMode = 'whale_watch';
+          } else {
+            nextMode = 'all_tokens';
+          }
+
+          // Clear existing mode filters
+          await this.db.clearFilters(chatId, 'monitor_all');
+          await this.db.clearFilters(chatId, 'first_mention_only');
+          await this.db.clearFilters(chatId, 'whale_watch_only');
+
+          // Set new mode
+          if (nextMode === 'all_tokens') {
+            await this.db.addFilter(chatId, 'monitor_all', 'true');
+            await this.db.addFilter(chatId, 'first_mention_only', 'false');
+          } else if (nextMode === 'token_filter') {
+            await this.db.addFilter(chatId, 'monitor_all', 'false');
+            await this.db.addFilter(chatId, 'first_mention_only', 'false');
+          } else if (nextMode === 'first_mention') {
+            await this.db.addFilter(chatId, 'monitor_all', 'true');
+            await this.db.addFilter(chatId, 'first_mention_only', 'true');
+          } else if (nextMode === 'whale_watch') {
+            // Whale Watch keeps the blacklist-based token check of All Tokens mode
+            await this.db.addFilter(chatId, 'monitor_all', 'true');
+            await this.db.addFilter(chatId, 'first_mention_only', 'false');
+            await this.db.addFilter(chatId, 'whale_watch_only', 'true');
+          }
+
+          // Auto-disable notifications when mode is changed (consistency)
+          await this.db.clearFilters(chatId, 'notifications_enabled');
+          await this.db.addFilter(chatId, 'notifications_enabled', 'false');
+
+          await ctx.reply(this.i18n.t(ctx.locale, 'mode.changed', { mode: this.i18n.t(ctx.locale, `mode.${nextMode}`) }));
+
+          // Small delay to ensure database update completes
+          setTimeout(() => {
+            this.showMainMenu(chatId, threadId, ctx.locale);
+          }, 100);
+          
+        } else if (data === 'cycle_direction') {
+          const filters = await this.db.getUserFilters(chatId);
+          const processedFilters = this.filterEngine.processFilters(filters);
+
+          // Cycle: both → buys → sells → both
+          const nextDirection = { both: 'buys', buys: 'sells', sells: 'both' }[processedFilters.direction];
+
+          await this.db.clearFilters(chatId, 'direction');
+          await this.db.addFilter(chatId, 'direction', nextDirection);
+
+          // Auto-disable notifications when filters are modified
+          await this.db.clearFilters(chatId, 'notifications_enabled');
+          await this.db.addFilter(chatId, 'notifications_enabled', 'false');
+
+          await ctx.reply(`${this.i18n.t(ctx.locale, 'direction.changed', { direction: this.i18n.t(ctx.locale, `direction.${nextDirection}`) })}\n\n${this.i18n.t(ctx.locale, 'common.autoOff')}`);
+
+          // Small delay to ensure database update completes
+          setTimeout(() => {
+            this.showMainMenu(chatId, threadId, ctx.locale);
+          }, 100);
+
+        } else if (data === 'cycle_delivery_mode') {
+          const filters = await this.db.getUserFilters(chatId);
+          const processedFilters = this.filterEngine.processFilters(filters);
+
+          // Cycle: realtime → digest_1h → digest_4h → digest_24h → realtime
+          const currentIndex = this.deliveryModes.indexOf(processedFilters.delivery_mode);
+          const nextMode = this.deliveryModes[(currentIndex + 1) % this.deliveryModes.length];
+
+          await this.db.clearFilters(chatId, 'delivery_mode');
+          await this.db.addFilter(chatId, 'delivery_mode', nextMode);
+
+          await ctx.reply(`${this.i18n.t(ctx.locale, 'delivery.changed', { mode: this.i18n.t(ctx.locale, `deliveryMode.${nextMode}`) })}\n\n${this.i18n.t(ctx.locale, nextMode === 'realtime' ? 'delivery.realtimeNote' : 'delivery.digestNote')}`);
+
+          // Small delay to ensure database update completes
+          setTimeout(() => {
+            this.showMainMenu(chatId, threadId, ctx.locale);
+          }, 100);
+
+        } else if (data === 'toggle_notifications') {
+          const filters = await this.db.getUserFilters(chatId);
+          const processedFilters = this.filterEngine.processFilters(filters);
+          const newValue = !processedFilters.notifications_enabled;
+          
+          // Clear all notifications_enabled filters first
+          await this.db.clearFilters(chatId, 'notifications_enabled');
+          // Add new notifications_enabled filter
+          await this.db.addFilter(chatId, 'notifications_enabled', newValue.toString());
+          
+          await ctx.reply(this.i18n.t(ctx.locale, newValue ? 'notifications.enabled' : 'notifications.disabled'));
+          
+          // Small delay to ensure database update completes
+          setTimeout(() => {
+            this.showMainMenu(chatId, threadId, ctx.locale);
+          }, 100);
+
+        } else if (data === 'clear_all_filters') {
+          await this.db.clearFilters(chatId);
+          await this.db.setActiveProfile(chatId, null);
+          
+          // Auto-disable notifications when filters are cleared
+          await this.db.addFilter(chatId, 'notifications_enabled', 'false');
+          
+          await ctx.reply(this.i18n.t(ctx.locale, 'clearAll.done'));
+          
+        } else if (data === 'back_to_menu') {
+          this.showMainMenu(chatId, threadId, ctx.locale);
+          
+        } else if (data === 'profiles') {
+          await this.showProfiles(chatId, threadId, ctx.locale);
+
+        } else if (data.startsWith('profile_load_')) {
+          // Only numeric ids come from our buttons; anything else is treated as not found
+          const rawId = data.replace('profile_load_', '');
+          const profile = /^\d+$/.test(rawId) ? await this.db.getProfile(chatId, { id: parseInt(rawId) }) : null;
+
+          if (profile) {
+            await this.loadProfile(chatId, profile);
+            await ctx.reply(this.i18n.t(ctx.locale, 'profile.loaded', { name: profile.profile_name }));
+
+            // Small delay to ensure database update completes
+            setTimeout(() => {
+              this.showMainMenu(chatId, threadId, ctx.locale);
+            }, 100);
+          } else {
+            await ctx.reply(this.i18n.t(ctx.locale, 'profile.notFoundRetry'));
+          }
+
+        } else if (data.startsWith('fb_page_')) {
+          // Filter browser: switch page in place
+          const page = parseInt(data.replace('fb_page_', '')) || 0;
+          await this.showFilters(chatId, threadId, page, ctx.callbackQuery.message.message_id, ctx.locale);
+
+        } else if (data.startsWith('fb_del_')) {
+          // Filter browser: ask for confirmation before deleting
+          const [filterId, page] = data.replace('fb_del_', '').split('_').map(n => parseInt(n));
+          const filter = await this.db.getFilterById(chatId, filterId);
+
+          if (!filter) {
+            await ctx.answerCallbackQuery({ text: this.i18n.t(ctx.locale, 'filter.notFound') });
+            await this.showFilters(chatId, threadId, page, ctx.callbackQuery.message.message_id, ctx.locale);
+            return;
+          }
+
+          const keyboard = new InlineKeyboard()
+            .text(this.i18n.t(ctx.locale, 'filter.deleteYes'), `fb_delyes_${filterId}_${page}`)
+            .text(this.i18n.t(ctx.locale, 'filter.deleteCancel'), `fb_page_${page}`);
+
+          await ctx.editMessageText(this.i18n.t(ctx.locale, 'filter.deleteConfirm', {
+            name: this.i18n.t(ctx.locale, `filterGroup.${filter.filter_type}`),
+            value: this.formatFilterValue(filter, ctx.locale, await this.getWhaleLabelMap(chatId, [filter.filter_value]))
+          }), {
+            reply_markup: keyboard
+          });
+
+        } else if (data.startsWith('fb_delyes_')) {
+          // Filter browser: delete by stable row id, then return to the same page
+          const [filterId, page] = data.replace('fb_delyes_', '').split('_').map(n => parseInt(n));
+          const filter = await this.db.getFilterById(chatId, filterId);
+
+          if (filter) {
+            await this.db.removeFilterById(chatId, filterId);
+
+            // Auto-disable notifications when filters are modified
+            await this.db.clearFilters(chatId, 'notifications_enabled');
+            await this.db.addFilter(chatId, 'notifications_enabled', 'false');
+
+            await ctx.reply(`${this.i18n.t(ctx.locale, 'filter.removed', { value: this.formatFilterValue(filter, ctx.locale, await this.getWhaleLabelMap(chatId, [filter.filter_value])) })}\n\n${this.i18n.t(ctx.locale, 'common.autoOff')}`);
+          } else {
+            await ctx.reply(this.i18n.t(ctx.locale, 'filter.notFound'));
+          }
+
+          await this.showFilters(chatId, threadId, page, ctx.callbackQuery.message.message_id, ctx.locale);
+
+        } else if (data.startsWith('fb_edit_')) {
+          // Filter browser: prompt for a new value for a single-value filter
+          const filterId = parseInt(data.replace('fb_edit_', ''));
+          const filter = await this.db.getFilterById(chatId, filterId);
+
+          if (!filter || !this.editableFilters.includes(filter.filter_type)) {
+            await ctx.reply(this.i18n.t(ctx.locale, 'filter.notFound'));
+          } else {
+            await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.edit', {
+              name: this.i18n.t(ctx.locale, `filterGroup.${filter.filter_type}`),
+              value: filter.filter_value
+            }), {
+              action: 'edit_filter',
+              filterId
+            });
+          }
+
+        } else if (data === 'input_cancel') {
+          await this.conversations.clear(ctx);
+          try {
+            await ctx.editMessageText(this.i18n.t(ctx.locale, 'common.cancelled'));
+          } catch (error) {
+            // Silent error handling (message too old to edit)
+          }
+
+        } else if (data.startsWith('input_pick_')) {
+          // Final step of a multi-step flow (add token → pick resolved token)
+          const state = await this.conversations.get(ctx);
+          const token = state?.action === 'pick_token' ? state.candidates[parseInt(data.replace('input_pick_', ''))] : null;
+
+          if (!token) {
+            await ctx.reply(this.i18n.t(ctx.locale, 'prompt.expired'));
+          } else {
+            await this.conversations.clear(ctx);
+            try {
+              await ctx.editMessageReplyMarkup();
+            } catch (error) {
+              // Silent error handling (message too old to edit)
+            }
+
+            const existingFilters = await this.db.getUserFilters(chatId);
+            if (existingFilters.some(f => f.filter_type === state.filterType && f.filter_value === token.mint)) {
+              await ctx.reply(this.i18n.t(ctx.locale, 'token.alreadyAdded', {
+                symbol: token.symbol,
+                name: this.i18n.t(ctx.locale, `filterGroup.${state.filterType}`)
+              }));
+            } else {
+              await this.saveFilterValue(ctx, state.filterType, token.mint);
+            }
+          }
+
+        } else if (data === 'bc_send') {
+          // Confirmed broadcast from /broadcast
+          const state = await this.conversations.get(ctx);
+
+          if (!this.isBotAdmin(ctx) || state?.action !== 'broadcast') {
+            await ctx.reply(this.i18n.t(ctx.locale, 'prompt.expired'));
+          } else if (this.broadcastRunning) {
+            await ctx.reply(this.i18n.t(ctx.locale, 'admin.broadcastBusy'));
+          } else {
+            await this.conversations.clear(ctx);
+            await ctx.editMessageText(this.i18n.t(ctx.locale, 'admin.broadcastStarted'));
+
+            // Runs in the background so button presses and polling aren't held up
+            this.runBroadcast(chatId, state.text, ctx.locale);
+          }
+
+        } else if (data.startsWith('al_')) {
+          await this.handleAlertAction(ctx, data);
+
+        } else if (data.startsWith('lang_')) {
+          const locale = data.replace('lang_', '');
+
+          if (this.i18n.isSupported(locale)) {
+            await this.setChatLanguage(ctx, locale);
+            await ctx.editMessageText(this.i18n.t(locale, 'language.set'));
+          }
+
+        } else if (data === 'noop') {
+          // Page indicator button - nothing to do
+
+        }
+
+        await ctx.answerCallbackQuery();
+      } catch (error) {
+        await ctx.answerCallbackQuery(this.i18n.t(ctx.locale, 'common.requestError'));
+      }
+    });
+
+    // Handle text messages (answers to pending prompts)
+    this.bot.on(['message:text', 'channel_post:text'], async (ctx) => {
+      const text = ctx.msg.text;
+      
+      // Skip if it's a command
+      if (text.startsWith('/')) return;
+      
+      // Check if we're waiting for input (expired prompts are ignored)
+      const state = await this.conversations.get(ctx);
+      if (!state) return;
+
+      // Admin rights may have been revoked since the prompt was sent
+      if (!(await this.isChatAdmin(ctx))) return;
+
+      try {
+        if (state.action === 'import') {
+          // Pasted JSON for /import
+          await this.conversations.clear(ctx);
+          await this.importFilters(ctx, text);
+        } else if (state.action === 'edit_filter') {
+          await this.handleFilterEdit(ctx, state, text);
+        } else if (state.action === 'add_filter') {
+          await this.handleFilterInput(ctx, state, text);
+        } else if (state.action === 'custom_template') {
+          await this.handleTemplateInput(ctx, state, text);
+        }
+      } catch (error) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'input.error'));
+      }
+    });
+
+    // Error handling
+    this.bot.catch((err) => {
+      // Silent error handling
+    });
+  }
+
+  // Ask for text input: stores the pending state and shows a prompt with a cancel button
+  async askForInput(ctx, prompt, state) {
+    await this.conversations.set(ctx, state);
+    await this.sendPrompt(ctx, `${prompt}\n\n${this.i18n.t(ctx.locale, 'prompt.footer', { minutes: this.conversations.ttlMinutes })}`);
+  }
+
+  // force_reply opens the reply box, but a message can't carry it and an inline keyboard
+  // at once, so the cancel button follows in a second message
+  async sendPrompt(ctx, text) {
+    await ctx.reply(text, {
+      reply_markup: { force_reply: true }
+    });
+    await ctx.reply(this.i18n.t(ctx.locale, 'prompt.cancelHint'), {
+      reply_markup: new InlineKeyboard().text(this.i18n.t(ctx.locale, 'common.cancel'), 'input_cancel')
+    });
+  }
+
+  // Validate a new filter value typed in reply to an "add filter" prompt.
+  // Invalid input keeps the prompt open so the user can try again.
+  async handleFilterInput(ctx, state, text) {
+    const chatId = ctx.chat.id;
+    const { filterType } = state;
+    let filterValue = text.trim();
+
+    if (filterType === 'min_purchase' || filterType === 'max_market_cap' || filterType === 'min_market_cap' || filterType === 'min_liquidity') {
+      const value = parseInt(text);
+      if (isNaN(value) || value <= 0 || text.includes('.')) {
+        await this.retryInput(ctx, state, this.i18n.t(ctx.locale, 'input.wholeNumber'));
+        return;
+      }
+    }
+
+    if (filterType === 'price_change_range') {
+      const [min, max, extra] = text.trim().split(/\s+/);
+      const bound = (value) => (value === undefined || value.toLowerCase() === 'any') ? '' : value;
+      filterValue = `${bound(min)}:${bound(max)}`;
+
+      if (extra !== undefined || !this.filterEngine.parsePriceChangeRange(filterValue)) {
+        await this.retryInput(ctx, state, this.i18n.t(ctx.locale, 'input.priceRange'));
+        return;
+      }
+    }
+
+    if (filterType === 'token_cooldown') {
+      const value = parseInt(text);
+      if (isNaN(value) || value <= 0 || value > 1440 || text.includes('.')) {
+        await this.retryInput(ctx, state, this.i18n.t(ctx.locale, 'input.cooldown'));
+        return;
+      }
+    }
+
+    // Check limits for multi-value filters
+    if (this.isListFilter(filterType) && await this.isListFull(chatId, filterType)) {
+      await this.conversations.clear(ctx);
+      await ctx.reply(this.i18n.t(ctx.locale, 'input.listFull', { max: this.filterEngine.MAX_LIST_ITEMS }));
+      return;
+    }
+
+    // Token lists take a second step: resolve the input and pin the exact mint
+    if (filterType === 'token_whitelist' || filterType === 'token_blacklist') {
+      await this.askForToken(ctx, state, filterValue);
+      return;
+    }
+
+    await this.conversations.clear(ctx);
+    await this.saveFilterValue(ctx, filterType, filterValue);
+  }
+
+  // Resolve a typed symbol or mint and let the user pick the token to pin.
+  // Many tokens share a ticker, so every match is listed with its market cap.
+  async askForToken(ctx, state, input) {
+    const { filterType } = state;
+    let candidates = await this.filterEngine.resolveToken(input);
+
+    // A valid mint with no market data yet (e.g. brand new token) can still be pinned
+    if (candidates.length === 0 && this.filterEngine.isValidMint(input)) {
+      candidates = [{ mint: input, symbol: 'Unknown', marketCap: 0 }];
+    }
+
+    if (candidates.length === 0) {
+      await this.retryInput(ctx, state, this.i18n.t(ctx.locale, 'token.notFound', { input }));
+      return;
+    }
+
+    const existingFilters = await this.db.getUserFilters(ctx.chat.id);
+    const pinned = existingFilters
+      .filter(f => f.filter_type === filterType)
+      .map(f => f.filter_value);
+
+    const name = this.i18n.t(ctx.locale, `filterGroup.${filterType}`);
+    let message = candidates.length === 1
+      ? `${this.i18n.t(ctx.locale, 'token.confirm', { name })}\n\n`
+      : `${this.i18n.t(ctx.locale, 'token.pick', { count: candidates.length, input, name })}\n\n`;
+    const keyboard = new InlineKeyboard();
+
+    candidates.forEach((token, index) => {
+      message += `${this.i18n.t(ctx.locale, 'token.candidate', {
+        index: index + 1,
+        symbol: token.symbol,
+        name: token.name ? ` - ${token.name}` : '',
+        added: pinned.includes(token.mint) ? this.i18n.t(ctx.locale, 'token.alreadyAddedTag') : '',
+        marketCap: this.filterEngine.formatMarketCap(token.marketCap, ctx.locale),
+        mint: token.mint
+      })}\n\n`;
+      keyboard.text(`📌 ${index + 1}. ${token.symbol}`, `input_pick_${index}`).row();
+    });
+    keyboard.text(this.i18n.t(ctx.locale, 'common.cancel'), 'input_cancel');
+
+    await this.conversations.set(ctx, {
+      action: 'pick_token',
+      filterType,
+      candidates: candidates.map(token => ({ mint: token.mint, symbol: token.symbol }))
+    });
+    await ctx.reply(message.trim(), { reply_markup: keyboard });
+  }
+
+  // Keep the prompt open after invalid input
+  async retryInput(ctx, state, message) {
+    await this.conversations.set(ctx, state);
+    await this.sendPrompt(ctx, `${message}\n\n${this.i18n.t(ctx.locale, 'prompt.retry')}`);
+  }
+
+  isListFilter(filterType) {
+    return Object.values(this.filterEngine.LIST_FILTERS).includes(filterType);
+  }
+
+  async isListFull(chatId, filterType) {
+    const existingFilters = await this.db.getUserFilters(chatId);
+    const existingCount = existingFilters.filter(f => f.filter_type === filterType).length;
+    return existingCount >= this.filterEngine.MAX_LIST_ITEMS;
+  }
+
+  // Save a validated filter value (single-value filters replace the existing one)
+  async saveFilterValue(ctx, filterType, filterValue) {
+    const chatId = ctx.chat.id;
+
+    try {
+      if (this.isListFilter(filterType)) {
+        // The list may have filled up while the prompt was open
+        if (await this.isListFull(chatId, filterType)) {
+          await ctx.reply(this.i18n.t(ctx.locale, 'input.listFull', { max: this.filterEngine.MAX_LIST_ITEMS }));
+          return;
+        }
+      } else {
+        // Clear existing values for single-value filters
+        await this.db.clearFilters(chatId, filterType);
+      }
+
+      await this.db.addFilter(chatId, filterType, filterValue);
+
+      // Auto-disable notifications when filters are modified
+      await this.db.clearFilters(chatId, 'notifications_enabled');
+      await this.db.addFilter(chatId, 'notifications_enabled', 'false');
+
+      await ctx.reply(`${this.i18n.t(ctx.locale, 'filter.added')}\n\n${this.i18n.t(ctx.locale, 'common.autoOff')}`);
+    } catch (error) {
+      await ctx.reply(this.i18n.t(ctx.locale, 'filter.addError'));
+    }
+  }
+
+  // New value for a filter edited from the filter browser
+  async handleFilterEdit(ctx, state, text) {
+    const chatId = ctx.chat.id;
+    const value = parseInt(text);
+    if (isNaN(value) || value <= 0 || text.includes('.')) {
+      await this.retryInput(ctx, state, this.i18n.t(ctx.locale, 'input.wholeNumber'));
+      return;
+    }
+
+    await this.conversations.clear(ctx);
+
+    try {
+      const updated = await this.db.updateFilterValue(chatId, state.filterId, value.toString());
+      if (!updated) {
+        await ctx.reply(this.i18n.t(ctx.locale, 'filter.notFound'));
+        return;
+      }
+
+      // Auto-disable notifications when filters are modified
+      await this.db.clearFilters(chatId, 'notifications_enabled');
+      await this.db.addFilter(chatId, 'notifications_enabled', 'false');
+
+      await ctx.reply(`${this.i18n.t(ctx.locale, 'filter.updated', { value: this.i18n.formatNumber(ctx.locale, value) })}\n\n${this.i18n.t(ctx.locale, 'common.autoOff')}`);
+    } catch (error) {
+      await ctx.reply(this.i18n.t(ctx.locale, 'filter.updateError'));
+    }
+  }
+
+  async askForCustomTemplate(ctx) {
+    await this.askForInput(ctx, this.i18n.t(ctx.locale, 'prompt.custom_template', {
+      placeholders: this.filterEngine.TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(' ')
+    }), { action: 'custom_template' });
+  }
+
+  // Validate and save a custom alert template, then switch to it
+  async handleTemplateInput(ctx, state, text) {
+    const chatId = ctx.chat.id;
+    const template = text.trim();
+    const check = this.filterEngine.validateTemplate(template);
+
+    if (!check.valid) {
+      await this.retryInput(ctx, state, this.i18n.t(ctx.locale, `template.invalid.${check.error}`, {
+        max: this.filterEngine.MAX_TEMPLATE_LENGTH,
+        unknown: check.unknown.map(name => `{${name}}`).join(', '),
+        placeholders: this.filterEngine.TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(' ')
+      }));
+      return;
+    }
+
+    await this.conversations.clear(ctx);
+
+    try {
+      await this.db.clearFilters(chatId, 'custom_template');
+      await this.db.addFilter(chatId, 'custom_template', template);
+      await this.db.clearFilters(chatId, 'alert_template');
+      await this.db.addFilter(chatId, 'alert_template', 'custom');
+
+      await ctx.reply(this.i18n.t(ctx.locale, 'template.saved'), {
+        reply_markup: new InlineKeyboard().text(this.i18n.t(ctx.locale, 'template.preview'), 'tpl_preview')
+      });
+    } catch (error) {
+      await ctx.reply(this.i18n.t(ctx.locale, 'template.error'));
+    }
+  }
+
+  // Render the chat's current alert layout against a sample swap
+  async sendTemplatePreview(ctx) {
+    const processedFilters = this.filterEngine.processFilters(await this.db.getUserFilters(ctx.chat.id));
+    const style = processedFilters.alert_template;
+    const preview = await this.filterEngine.formatTemplatePreview(style, processedFilters.custom_template, ctx.locale);
+
+    await ctx.reply(`${this.i18n.t(ctx.locale, 'template.previewTitle', { style: this.i18n.t(ctx.locale, `templateStyle.${style}`) })}\n\n${preview}`, {
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true
+    });
+  }
+
+  // Alert buttons: al_<action>_<alertId> to mute the token (mt), block the whale (bw),
+  // watch the token (wt) or show details (dt); al_un_<filterId> undoes an added filter.
+  // Unlike menu changes these don't turn notifications off - they refine a running setup.
+  async handleAlertAction(ctx, data) {
+    const chatId = ctx.chat.id;
+    const [, action, id] = data.split('_');
+    const t = (key, params) => this.i18n.t(ctx.locale, key, params);
+
+    if (action === 'un') {
+      const filter = await this.db.getFilterById(chatId, parseInt(id));
+      const undoable = filter && Object.values(this.alertActions).includes(filter.filter_type);
+      if (undoable) {
+        await this.db.removeFilterById(chatId, filter.id);
+      }
+
+      try {
+        await ctx.editMessageText(undoable
+          ? t('alertAction.undone', {
+            value: this.formatFilterValue(filter, ctx.locale, await this.getWhaleLabelMap(chatId, [filter.filter_value])),
+            name: t(`filterGroup.${filter.filter_type}`)
+          })
+          : t('alertAction.undoMissing'));
+      } catch (error) {
+        // Silent error handling (message too old to edit)
+      }
+      return;
+    }
+
+    const alert = await this.db.getSentAlert(chatId, parseInt(id));
+    if (!alert) {
+      await ctx.reply(t('alertAction.expired'));
+      return;
+    }
+
+    if (action === 'dt') {
+      const swaps = this.recentSwaps.filter(s => s.mint === alert.token_mint);
+      const tokenData = await this.filterEngine.getTokenData(alert.token_mint, alert.token_symbol);
+      const whaleLabels = await this.getWhaleLabelMap(chatId, swaps.map(s => s.whale));
+      await ctx.reply(this.filterEngine.formatTokenActivity(alert.token_symbol, alert.token_mint, swaps, tokenData, ctx.locale, whaleLabels), {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      });
+      return;
+    }
+
+    const filterType = this.alertActions[action];
+    const value = filterType === 'whale_blacklist' ? alert.whale : alert.token_mint;
+    if (!filterType || !value) return;
+
+    const existingFilters = await this.db.getUserFilters(chatId);
+    if (existingFilters.some(f => f.filter_type === filterType && f.filter_value === value)) {
+      await ctx.reply(t('alertAction.already', { name: t(`filterGroup.${filterType}`) }));
+      return;
+    }
+    if (await this.isListFull(chatId, filterType)) {
+      await ctx.reply(t('input.listFull', { max: this.filterEngine.MAX_LIST_ITEMS }));
+      return;
+    }
+
+    const filterId = await this.db.addFilter(chatId, filterType, value);
+    const whaleLabels = await this.getWhaleLabelMap(chatId, [alert.whale]);
+    await ctx.reply(t(`alertAction.${action}`, {
+      symbol: alert.token_symbol,
+      whale: this.filterEngine.getWhaleLabel(alert.whale, whaleLabels) || `${alert.whale?.slice(0, 8)}...`
+    }), {
+      reply_markup: new InlineKeyboard().text(t('alertAction.undo'), `al_un_${filterId}`)
+    });
+  }
+
+  // Save the bot language for the current chat (registers the chat like /start)
+  async setChatLanguage(ctx, locale) {
+    const username = ctx.from?.username || ctx.chat.username || ctx.chat.title;
+    await this.db.addUser(ctx.chat.id, username);
+    await this.db.setLanguage(ctx.chat.id, locale);
+    ctx.locale = locale;
+  }
+
+  // Determine monitor mode from processed filters
+  getMonitorMode(processedFilters) {
+    if (processedFilters.first_mention_only) {
+      return 'first_mention';
+    } else if (!processedFilters.monitor_all) {
+      return 'token_filter';
+    } else if (processedFilters.whale_watch_only) {
+      return 'whale_watch';
+    }
+    return 'all_tokens'; // default
+  }
+
+  async showMainMenu(chatId, threadId = undefined, locale = this.i18n.defaultLocale) {
+    const t = (key, params) => this.i18n.t(locale, key, params);
+
+    // Get current settings
+    const filters = await this.db.getUserFilters(chatId);
+    const processedFilters = this.filterEngine.processFilters(filters);
+    const activeProfile = await this.db.getActiveProfile(chatId);
+    
+    // Determine current mode for 4-way toggle
+    const currentMode = this.getMonitorMode(processedFilters);
+
+    // Set button text to show NEXT mode (what you get when you click)
+    const nextMode = {
+      all_tokens: 'token_filter',
+      token_filter: 'first_mention',
+      first_mention: 'whale_watch',
+      whale_watch: 'all_tokens'
+    }[currentMode];
+
+    const directionName = t(`direction.${processedFilters.direction}`);
+    const deliveryName = t(`deliveryMode.${processedFilters.delivery_mode}`);
+    const templateName = t(`templateStyle.${processedFilters.alert_template}`);
+    const cooldown = processedFilters.token_cooldown
+      ? t('menu.cooldownMinutes', { minutes: processedFilters.token_cooldown })
+      : t('menu.cooldownOff');
+
+    const keyboard = new InlineKeyboard()
+      .text(t(`menu.next.${nextMode}`), 'cycle_monitor_mode').row()
+      .text(t(processedFilters.notifications_enabled ? 'menu.turnOff' : 'menu.turnOn'), 'toggle_notifications').row()
+      .text(t('menu.delivery', { mode: deliveryName }), 'cycle_delivery_mode').row()
+      .text(t('menu.direction', { direction: directionName }), 'cycle_direction').row()
+      .text(t('menu.addWhitelist'), 'add_token').row()
+      .text(t('menu.setMinPurchase'), 'add_min_purchase').row()
+      .text(t('menu.setMaxMarketCap'), 'add_max_market_cap')
+      .text(t('menu.setMinMarketCap'), 'add_min_market_cap').row()
+      .text(t('menu.setMinLiquidity'), 'add_min_liquidity')
+      .text(t('menu.setPriceChange'), 'add_price_change_range').row()
+      .text(t('menu.addBlacklist'), 'add_blacklist').row()
+      .text(t('menu.addWhaleBlacklist'), 'add_whale_blacklist').row()
+      .text(t('menu.addWhaleWatchlist'), 'add_whale_watchlist').row()
+      .text(t('menu.cooldown', { value: cooldown }), 'add_token_cooldown')
+      .text(t(processedFilters.cooldown_followup === 'edit' ? 'menu.followupEdit' : 'menu.followupMessage'), 'cycle_cooldown_followup').row()
+      .text(t('menu.alertTemplate', { style: templateName }), 'alert_template').row()
+      .text(t('menu.profiles'), 'profiles').row()
+      .text(t('menu.viewFilters'), 'view_filters')
+      .text(t('menu.clearAll'), 'clear_all_filters');
+
+    const menuText = t('menu.text', {
+      mode: t(`mode.${currentMode}`),
+      status: t(processedFilters.notifications_enabled ? 'menu.statusOn' : 'menu.statusOff'),
+      direction: directionName,
+      delivery: deliveryName,
+      profile: this.filterEngine.escapeMarkdown(activeProfile || t('common.none')),
+      quiet: processedFilters.quiet_hours
+        ? `${this.filterEngine.escapeMarkdown(processedFilters.quiet_hours.label)} (${t(`quiet.mode.${processedFilters.quiet_mode}`)})`
+        : t('menu.quietOff'),
+      template: templateName
+    });
+
+    try {
+      await this.bot.api.sendMessage(chatId, menuText, {
+        message_thread_id: threadId,
+        reply_markup: keyboard,
+        parse_mode: 'Markdown'
+      });
+    } catch (error) {
+      // Silent error handling
+    }
+  }
+
+  // Alert layout picker. Pass messageId to edit in place.
+  async showTemplateSettings(chatId, threadId = undefined, locale = this.i18n.defaultLocale, messageId = null) {
+    const processedFilters = this.filterEngine.processFilters(await this.db.getUserFilters(chatId));
+    const current = processedFilters.alert_template;
+
+    const keyboard = new InlineKeyboard();
+    for (const style of this.filterEngine.ALERT_TEMPLATES) {
+      keyboard.text(`${style === current ? '✅ ' : ''}${this.i18n.t(locale, `templateStyle.${style}`)}`, `tpl_set_${style}`);
+    }
+    keyboard.row()
+      .text(this.i18n.t(locale, 'template.editCustom'), 'tpl_edit')
+      .text(this.i18n.t(locale, 'template.preview'), 'tpl_preview').row()
+      .text(this.i18n.t(locale, 'common.backToMenu'), 'back_to_menu');
+
+    const text = this.i18n.t(locale, 'template.status', {
+      style: this.i18n.t(locale, `templateStyle.${current}`),
+      custom: processedFilters.custom_template ? this.i18n.t(locale, 'template.current', { template: processedFilters.custom_template }) : ''
+    });
+
+    if (messageId) {
+      try {
+        await this.bot.api.editMessageText(chatId, messageId, text, {
+          reply_markup: keyboard
+        });
+      } catch (error) {
+        // Silent error handling (e.g. message not modified)
+      }
+      return;
+    }
+
+    await this.bot.api.sendMessage(chatId, text, {
+      message_thread_id: threadId,
+      reply_markup: keyboard
+    });
+  }
+
+  async showProfiles(chatId, threadId = undefined, locale = this.i18n.defaultLocale) {
+    const profiles = await this.db.getProfiles(chatId);
+    const activeProfile = await this.db.getActiveProfile(chatId);
+
+    if (profiles.length === 0) {
+      await this.bot.api.sendMessage(chatId, this.i18n.t(locale, 'profiles.empty'), {
+        message_thread_id: threadId
+      });
+      return;
+    }
+
+    let profilesText = `${this.i18n.t(locale, 'profiles.title')}\n\n`;
+    const keyboard = new InlineKeyboard();
+
+    profiles.forEach(profile => {
+      const isActive = profile.profile_name === activeProfile;
+      profilesText += `  • ${profile.profile_name}${isActive ? this.i18n.t(locale, 'profiles.active') : ''}\n`;
+      keyboard.text(`${isActive ? '✅' : '📂'} ${profile.profile_name}`, `profile_load_${profile.id}`).row();
+    });
+
+    keyboard.text(this.i18n.t(locale, 'common.backToMenu'), 'back_to_menu');
+
+    await this.bot.api.sendMessage(chatId, `${profilesText}\n${this.i18n.t(locale, 'profiles.hint')}`, {
+      message_thread_id: threadId,
+      reply_markup: keyboard
+    });
+  }
+
+  // Replace user's filters with a saved profile, keeping the current ON/OFF state
+  async loadProfile(chatId, profile) {
+    const currentFilters = this.filterEngine.processFilters(await this.db.getUserFilters(chatId));
+    const profileFilters = (profile.filters || []).filter(f => f.filter_type !== 'notifications_enabled');
+
+    await this.db.replaceFilters(chatId, [
+      ...profileFilters,
+      { filter_type: 'notifications_enabled', filter_value: currentFilters.notifications_enabled.toString() }
+    ]);
+    await this.db.setActiveProfile(chatId, profile.profile_name);
+  }
+
+  // Download an uploaded import file (returns null if unusable)
+  async downloadImportFile(document) {
+    if (!document || document.file_size > 64 * 1024) {
+      return null;
+    }
+
+    try {
+      const file = await this.bot.api.getFile(document.file_id);
+      const response = await fetch(`https://api.telegram.org/file/bot${this.token}/${file.file_path}`);
+      if (!response.ok) {
+        return null;
+      }
+      return await response.text();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Validate an exported JSON document and replace the user's filters with it
+  async importFilters(ctx, json) {
+    const chatId = ctx.chat.id;
+
+    if (!json) {
+      await ctx.reply(this.i18n.t(ctx.locale, 'import.unreadable'));
+      return;
+    }
+
+    let document;
+    try {
+      document = JSON.parse(json);
+    } catch (error) {
+      await ctx.reply(this.i18n.t(ctx.locale, 'import.invalidJson'));
+      return;
+    }
+
+    const { valid, errors, rows } = this.filterEngine.parseImport(document);
+    if (!valid) {
+      await ctx.reply(this.i18n.t(ctx.locale, 'import.rejected', {
+        errors: errors.map(error => `• ${this.i18n.t(ctx.locale, error.key, error.params)}`).join('\n')
+      }));
+      return;
+    }
+
+    try {
+      // Settings the export format doesn't cover (quiet hours, delivery mode, cooldown, alert
+      // template, notifications on/off) are kept as they are
+      const exportedTypes = this.filterEngine.getExportedFilterTypes();
+      const kept = (await this.db.getUserFilters(chatId))
+        .filter(filter => !exportedTypes.includes(filter.filter_type))
+        .map(filter => ({ filter_type: filter.filter_type, filter_value: filter.filter_value }));
+
+      await this.db.replaceFilters(chatId, [...kept, ...rows]);
+      await this.db.setActiveProfile(chatId, null);
+
+      await ctx.reply(this.i18n.t(ctx.locale, 'import.done', { count: rows.length }));
+    } catch (error) {
+      await ctx.reply(this.i18n.t(ctx.locale, 'import.error'));
+    }
+  }
+
+  // Display value for a stored filter row
+  formatFilterValue(filter, locale = this.i18n.defaultLocale, whaleLabels = null) {
+    // Pinned token mints show their symbol when it's known
+    if (filter.filter_type === 'token_whitelist' || filter.filter_type === 'token_blacklist') {
+      const symbol = this.filterEngine.isValidMint(filter.filter_value) && this.filterEngine.getCachedSymbol(filter.filter_value);
+      return symbol ? `${symbol} (${filter.filter_value})` : filter.filter_value;
+    }
+    // Labelled whales show their label
+    if (filter.filter_type === 'whale_blacklist' || filter.filter_type === 'whale_watchlist') {
+      const label = this.filterEngine.getWhaleLabel(filter.filter_value, whaleLabels);
+      return label ? `${label} (${filter.filter_value})` : filter.filter_value;
+    }
+    if (filter.filter_type === 'price_change_range') {
+      const range = this.filterEngine.parsePriceChangeRange(filter.filter_value);
+      return range ? this.filterEngine.formatPriceChangeRange(range, locale) : filter.filter_value;
+    }
+    return filter.filter_value;
+  }
+
+  // Paginated filter browser. Rows are addressed by their database id so a button
+  // always acts on the row it was rendered for. Pass messageId to edit in place.
+  async showFilters(chatId, threadId = undefined, page = 0, messageId = null, locale = this.i18n.defaultLocale) {
+    const filters = (await this.db.getUserFilters(chatId))
+      .filter(f => this.filterGroups.includes(f.filter_type));
+
+    // Order rows by display group, keeping insertion order within a group
+    filters.sort((a, b) => this.filterGroups.indexOf(a.filter_type) - this.filterGroups.indexOf(b.filter_type) || a.id - b.id);
+    const whaleLabels = await this.getWhaleLabelMap(chatId);
+
+    const keyboard = new InlineKeyboard();
+    let filtersText;
+
+    if (filters.length === 0) {
+      filtersText = this.i18n.t(locale, 'browser.empty');
+    } else {
+      const totalPages = Math.ceil(filters.length / this.filtersPerPage);
+      page = Math.min(Math.max(page, 0), totalPages - 1);
+      const pageFilters = filters.slice(page * this.filtersPerPage, (page + 1) * this.filtersPerPage);
+
+      filtersText = `${this.i18n.t(locale, 'browser.title', { count: filters.length })}${totalPages > 1 ? this.i18n.t(locale, 'browser.page', { page: page + 1, pages: totalPages }) : ''}:\n`;
+
+      let currentType = null;
+      for (const filter of pageFilters) {
+        if (filter.filter_type !== currentType) {
+          currentType = filter.filter_type;
+          filtersText += `\n${this.i18n.t(locale, `filterGroup.${currentType}`)}:\n`;
+        }
+
+        const value = this.formatFilterValue(filter, locale, whaleLabels);
+        filtersText += `  • ${value}\n`;
+
+        const label = value.length > 20 ? value.slice(0, 20) + '...' : value;
+        keyboard.text(`❌ ${label}`, `fb_del_${filter.id}_${page}`);
+        if (this.editableFilters.includes(filter.filter_type)) {
+          keyboard.text(this.i18n.t(locale, 'browser.edit'), `fb_edit_${filter.id}`);
+        }
+        keyboard.row();
+      }
+
+      if (totalPages > 1) {
+        if (page > 0) keyboard.text('◀️', `fb_page_${page - 1}`);
+        keyboard.text(`📄 ${page + 1}/${totalPages}`, 'noop');
+        if (page < totalPages - 1) keyboard.text('▶️', `fb_page_${page + 1}`);
+        keyboard.row();
+      }
+
+      filtersText += `\n${this.i18n.t(locale, 'browser.hint')}`;
+    }
+
+    keyboard.text(this.i18n.t(locale, 'common.backToMenu'), 'back_to_menu');
+
+    if (messageId) {
+      try {
+        await this.bot.api.editMessageText(chatId, messageId, filtersText, {
+          reply_markup: keyboard
+        });
+      } catch (error) {
+        // Silent error handling (e.g. message not modified)
+      }
+      return;
+    }
+
+    await this.bot.api.sendMessage(chatId, filtersText, {
+      message_thread_id: threadId,
+      reply_markup: keyboard
+    });
+  }
+
+
+  async startMonitoring() {
+    try {
+      await this.swapSource.start();
+    } catch (error) {
+      console.error('❌ Swap source failed to start:', error.message);
+    }
+
+    // Push sources run a cycle as soon as swaps arrive
+    this.swapSource.onSwaps = () => this.scheduler.trigger();
+
+    // Run every POLLING_INTERVAL seconds
+    this.scheduler.start();
+    this.deliveryScheduler.start();
+  }
+
+  // Token data from the price APIs, or null if it takes longer than `ms` (or fails)
+  async getTokenDataWithin(mint, symbol, ms) {
+    let timeoutId;
+    const timeout = new Promise(resolve => {
+      timeoutId = setTimeout(() => resolve(null), ms);
+    });
+
+    try {
+      return await Promise.race([this.filterEngine.getTokenData(mint, symbol).catch(() => null), timeout]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Remember swaps from this cycle for inline query lookups
+  async recordRecentSwaps(swaps, tokenDataCache) {
+    const now = Date.now();
+
+    for (const swap of swaps) {
+      // The API window overlaps between cycles, so skip swaps we've already seen
+      if (!swap.signature || this.recentSwapSignatures.has(swap.signature)) continue;
+
+      const isBuy = this.filterEngine.isBuyTransaction(swap);
+      const relevantToken = isBuy ? swap.outputToken : swap.inputToken;
+      if (!relevantToken?.mint) continue;
+
+      this.recentSwaps.unshift({
+        mint: relevantToken.mint,
+        symbol: await this.filterEngine.getTokenSymbol(relevantToken, tokenDataCache),
+        isBuy,
+        usdValue: await this.filterEngine.calculateSwapValueUSD(swap, tokenDataCache),
+        whale: swap.feePayer,
+        signature: swap.signature,
+        seenAt: now
+      });
+      this.recentSwapSignatures.add(swap.signature);
+    }
+
+    // Drop swaps outside the window or over the cap (list is newest first)
+    while (this.recentSwaps.length > 0 &&
+           (this.recentSwaps.length > this.maxRecentSwaps ||
+            now - this.recentSwaps[this.recentSwaps.length - 1].seenAt > this.recentSwapsWindow)) {
+      this.recentSwapSignatures.delete(this.recentSwaps.pop().signature);
+    }
+  }
+
+  // Find tokens in recent swaps by mint, exact symbol, then symbol prefix
+  // Returns: [{ mint, symbol, swaps }] with swaps newest first
+  findRecentTokens(query) {
+    const needle = query.replace(/^\$/, '').toLowerCase();
+    const tokens = new Map();
+
+    for (const swap of this.recentSwaps) {
+      const symbol = swap.symbol?.toLowerCase() || '';
+      let rank = null;
+      if (swap.mint.toLowerCase() === needle || symbol === needle) {
+        rank = 0;
+      } else if (symbol.startsWith(needle)) {
+        rank = 1;
+      }
+      if (rank === null) continue;
+
+      if (!tokens.has(swap.mint)) {
+        tokens.set(swap.mint, { mint: swap.mint, symbol: swap.symbol, rank, swaps: [] });
+      }
+      tokens.get(swap.mint).swaps.push(swap);
+    }
+
+    return Array.from(tokens.values())
+      .sort((a, b) => a.rank - b.rank || b.swaps.length - a.swaps.length);
+  }
+
+  // Queue an alert for a chat, fanning out to its registered forum topics (if any)
+  // Returns: [{ threadId, messageId }] once every copy is delivered (rejects if one fails for good)
+  async sendAlert(chatId, notification, chatTopics, options = {}, priority = 0) {
+    const threadIds = chatTopics.get(String(chatId)) || [undefined];
+
+    try {
+      return await Promise.all(threadIds.map(async (threadId) => {
+        const message = await this.queue.sendMessage(chatId, notification, {
+          message_thread_id: threadId,
+          parse_mode: 'Markdown',
+          disable_web_page_preview: true,
+          ...options
+        }, priority);
+        return { threadId, messageId: message.message_id };
+      }));
+    } catch (error) {
+      await this.markUnreachable(chatId, error);
+      throw error;
+    }
+  }
+
+  // Map a send error to the user status it implies, or null if the chat may still be reachable
+  getUnreachableStatus(error) {
+    const description = (error.description || '').toLowerCase();
+
+    if (error.error_code === 403) {
+      return description.includes('deactivated') ? 'deactivated' : 'blocked';
+    }
+    if (error.error_code === 400 && description.includes('chat not found')) {
+      return 'chat_not_found';
+    }
+    return null;
+  }
+
+  // Stop processing chats that blocked the bot, were deleted or removed it;
+  // /start sets them back to active
+  async markUnreachable(chatId, error) {
+    const status = this.getUnreachableStatus(error);
+    if (!status) return;
+
+    this.mutedAlerts.delete(chatId);
+
+    try {
+      await this.db.setUserStatus(chatId, status);
+    } catch (dbError) {
+      // Silent error handling - the next failed send tries again
+    }
+  }
+
+  // Send a broadcast to every chat that isn't banned. Messages are queued behind alerts and
+  // fed in small batches, so a large broadcast never fills the queue that alerts share.
+  async runBroadcast(adminChatId, text, locale) {
+    this.broadcastRunning = true;
+    const batchSize = 50;
+    let sent = 0;
+    let failed = 0;
+
+    try {
+      const users = await this.db.getAllUsers();
+      const chatTopics = await this.db.getAllChatTopics();
+
+      for (let i = 0; i < users.length; i += batchSize) {
+        const batch = users.slice(i, i + batchSize);
+        const results = await Promise.allSettled(batch.map(user => this.sendAlert(user.telegram_id, text, chatTopics, {}, 1)));
+        const delivered = results.filter(result => result.status === 'fulfilled').length;
+        sent += delivered;
+        failed += results.length - delivered;
+      }
+    } catch (error) {
+      // Silent error handling - report what was sent so far
+    } finally {
+      this.broadcastRunning = false;
+    }
+
+    try {
+      await this.bot.api.sendMessage(adminChatId, this.i18n.t(locale, 'admin.broadcastDone', { sent, failed }));
+    } catch (error) {
+      // Silent error handling
+    }
+  }
+
+  // Last poll status for /stats, e.g. "✅ 12s ago · 40 swaps · 850 ms"
+  formatLastPoll(locale) {
+    const cycle = this.scheduler.lastCycle;
+    if (!cycle) {
+      return this.i18n.t(locale, 'admin.pollNever');
+    }
+
+    const ago = this.formatDuration(Date.now() - cycle.startedAt);
+    if (cycle.ok) {
+      return this.i18n.t(locale, 'admin.pollOk', { ago, swaps: cycle.result.swaps, duration: cycle.durationMs });
+    }
+
+    const retryIn = this.formatDuration(Math.max((this.scheduler.nextRunAt || Date.now()) - Date.now(), 0));
+    return this.i18n.t(locale, 'admin.pollFailed', { ago, error: cycle.error, count: this.scheduler.failures, retryIn });
+  }
+
+  // Rejected swap records by reason, e.g. "3 (invalid_fee_payer ×2, input_invalid_amount ×1)"
+  formatRejections(locale) {
+    const total = this.swapSchema.rejectedCount;
+    if (total === 0) return '0';
+
+    const reasons = Array.from(this.swapSchema.rejections)
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, count]) => `${reason} ×${this.i18n.formatNumber(locale, count)}`);
+    return `${this.i18n.formatNumber(locale, total)} (${reasons.join(', ')})`;
+  }
 
-      let filtersText = '🔍 Your Active Filters:\n\n';
-      
-      const filterGroups = {
-        token_whitelist: '✅ Token Whitelist',
-        min_purchase: '💰 Minimum Purchase',
-        max_market_cap: '📊 Maximum Market Cap', 
-        token_blacklist: '🚫 Token Blacklist',
-        whale_blacklist: '🐋 Whale Blacklist'
-      };
-
-      for (const [type, title] of Object.entries(filterGroups)) {
-        const typeFilters = filters.filter(f => f.filter_type === type);
-        if (typeFilters.length > 0) {
-          filtersText += `${title}:\n`;
-          typeFilters.forEach(filter => {
-            filtersText += `  • ${filter.filter_value}\n`;
-          });
-          filtersText += '\n';
-        }
-      }
+  // Compact duration, e.g. "45s", "12m", "3h 5m", "2d 4h"
+  formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
 
-      await ctx.reply(filtersText);
-    });
+  // Store what an alert is about so its buttons can act on it
+  // Returns: the alert id, or null if it couldn't be stored (the alert is sent without buttons)
+  async recordSentAlert(chatId, swap, tokenDataCache) {
+    const isBuy = this.filterEngine.isBuyTransaction(swap);
+    const relevantToken = isBuy ? swap.outputToken : swap.inputToken;
 
-    // Handle callback queries (inline keyboard buttons)
-    this.bot.on('callback_query', async (ctx) => {
-      const data = ctx.callbackQuery.data;
-      const chatId = ctx.chat.id;
+    try {
+      return await this.db.addSentAlert(chatId, {
+        tokenMint: relevantToken?.mint,
+        tokenSymbol: await this.filterEngine.getTokenSymbol(relevantToken, tokenDataCache),
+        whale: swap.feePayer,
+        signature: swap.signature
+      });
+    } catch (error) {
+      return null;
+    }
+  }
 
-      // Check rate limit for button interactions
-      if (!this.checkRateLimit(chatId)) {
-        await ctx.reply('⚠️ Daily limit exceeded (500 interactions/day). Try again tomorrow!');
-        await ctx.answerCallbackQuery();
-        return;
-      }
+  buildAlertKeyboard(alertId, locale) {
+    if (!alertId) return undefined;
 
-      try {
-        if (data === 'add_token') {
-          await ctx.reply('Enter token symbol or mint address to whitelist:', {
-            reply_markup: { force_reply: true }
-          });
-          this.awaitingInput[chatId] = 'token_whitelist';
-          
-        } else if (data === 'add_min_purchase') {
-          await ctx.reply('Enter minimum purchase amount in USD:', {
-            reply_markup: { force_reply: true }
-          });
-          this.awaitingInput[chatId] = 'min_purchase';
-          
-        } else if (data === 'add_max_market_cap') {
-          await ctx.reply('Enter maximum market cap in USD:', {
-            reply_markup: { force_reply: true }
-          });
-          this.awaitingInput[chatId] = 'max_market_cap';
-          
-        } else if (data === 'add_blacklist') {
-          await ctx.reply('Enter token symbol or mint address to blacklist:', {
-            reply_markup: { force_reply: true }
-          });
-          this.awaitingInput[chatId] = 'token_blacklist';
-          
-        } else if (data === 'add_whale_blacklist') {
-          await ctx.reply('Enter whale address to blacklist:', {
-            reply_markup: { force_reply: true }
-          });
-          this.awaitingInput[chatId] = 'whale_blacklist';
-          
-        } else if (data === 'view_filters') {
-          await this.showFilters(chatId);
-          
-        } else if (data === 'cycle_monitor_mode') {
-          const filters = await this.db.getUserFilters(chatId);
-          const processedFilters = this.filterEngine.processFilters(filters);
+    return new InlineKeyboard()
+      .text(this.i18n.t(locale, 'alertButton.mute'), `al_mt_${alertId}`)
+      .text(this.i18n.t(locale, 'alertButton.block'), `al_bw_${alertId}`).row()
+      .text(this.i18n.t(locale, 'alertButton.watch'), `al_wt_${alertId}`)
+      .text(this.i18n.t(locale, 'alertButton.details'), `al_dt_${alertId}`);
+  }
 
-          // Determine current mode
-          let currentMode = 'all_tokens';
-          if (processedFilters.first_mention_only) {
-            currentMode = 'first_mention';
-          } else if (!processedFilters.monitor_all) {
-            currentMode = 'token_filter';
-          }
+  async updateAlertStatus(alertId, status) {
+    if (!alertId) return;
 
-          // Cycle to next mode: all_tokens → token_filter → first_mention → all_tokens
-          let nextMode;
-          if (currentMode === 'all_tokens') {
-            nextMode = 'token_filter';
-          } else if (currentMode === 'token_filter') {
-            nextMode = 'first_mention';
-          } else {
-            nextMode = 'all_tokens';
-          }
+    try {
+      await this.db.updateSentAlertStatus(alertId, status);
+    } catch (error) {
+      // Silent error handling
+    }
+  }
 
-          // Clear existing mode filters
-          await this.db.clearFilters(chatId, 'monitor_all');
-          await this.db.clearFilters(chatId, 'first_mention_only');
+  // Drop expired alert records and swap delivery claims (at most once an hour)
+  async pruneDeliveryHistory() {
+    if (Date.now() - this.lastHistoryPrune < 60 * 60 * 1000) return;
+    this.lastHistoryPrune = Date.now();
 
-          // Set new mode
-          if (nextMode === 'all_tokens') {
-            await this.db.addFilter(chatId, 'monitor_all', 'true');
-            await this.db.addFilter(chatId, 'first_mention_only', 'false');
-          } else if (nextMode === 'token_filter') {
-            await this.db.addFilter(chatId, 'monitor_all', 'false');
-            await this.db.addFilter(chatId, 'first_mention_only', 'false');
-          } else if (nextMode === 'first_mention') {
-            await this.db.addFilter(chatId, 'monitor_all', 'true');
-            await this.db.addFilter(chatId, 'first_mention_only', 'true');
-          }
+    try {
+      await this.db.pruneSentAlerts(this.sentAlertsRetentionDays);
+      await this.db.pruneDeliveredSwaps(this.deliveredSwapsRetentionHours);
+    } catch (error) {
+      // Silent error handling - retried next hour
+    }
+  }
 
-          // Auto-disable notifications when mode is changed (consistency)
-          await this.db.clearFilters(chatId, 'notifications_enabled');
-          await this.db.addFilter(chatId, 'notifications_enabled', 'false');
+  // Start a cooldown window for the token of an alert that was just sent
+  async openCooldown(chatId, swap, tokenDataCache, processedFilters, notification, sentMessages, locale, replyMarkup) {
+    const isBuy = this.filterEngine.isBuyTransaction(swap);
+    const relevantToken = isBuy ? swap.outputToken : swap.inputToken;
+    if (!relevantToken?.mint) return;
+
+    this.cooldowns.set(`${chatId}:${relevantToken.mint}`, {
+      chatId,
+      symbol: await this.filterEngine.getTokenSymbol(relevantToken, tokenDataCache),
+      windowEnd: Date.now() + processedFilters.token_cooldown * 60 * 1000,
+      followUp: processedFilters.cooldown_followup,
+      notification,
+      sentMessages,
+      locale,
+      replyMarkup,
+      buys: 0,
+      sells: 0,
+      totalUSD: 0
+    });
+  }
 
-          const modeNames = {
-            'all_tokens': 'All Tokens',
-            'token_filter': 'Token Filter',
-            'first_mention': 'First Mention Only'
-          };
+  // Count a matching swap against an open cooldown window
+  // Returns: true if the swap was folded (and should not be sent on its own)
+  async foldIntoCooldown(chatId, swap, tokenDataCache) {
+    const isBuy = this.filterEngine.isBuyTransaction(swap);
+    const relevantToken = isBuy ? swap.outputToken : swap.inputToken;
+    const cooldown = this.cooldowns.get(`${chatId}:${relevantToken?.mint}`);
 
-          await ctx.reply(`🔄 Mode changed to: ${modeNames[nextMode]}\n\n⚠️ Pingooor has been automatically turned OFF due to mode change. Use /menu to turn it back ON when you're ready.`);
+    if (!cooldown || Date.now() >= cooldown.windowEnd) {
+      return false;
+    }
 
-          // Small delay to ensure database update completes
-          setTimeout(() => {
-            this.showMainMenu(chatId);
-          }, 100);
-          
-        } else if (data === 'toggle_notifications') {
-          const filters = await this.db.getUserFilters(chatId);
-          const processedFilters = this.filterEngine.processFilters(filters);
-          const newValue = !processedFilters.notifications_enabled;
-          
-          // Clear all notifications_enabled filters first
-          await this.db.clearFilters(chatId, 'notifications_enabled');
-          // Add new notifications_enabled filter
-          await this.db.addFilter(chatId, 'notifications_enabled', newValue.toString());
-          
-          await ctx.reply(`${newValue ? '🔔' : '🔕'} Pingoor notifications ${newValue ? 'enabled' : 'disabled'}!`);
-          
-          // Small delay to ensure database update completes
-          setTimeout(() => {
-            this.showMainMenu(chatId);
-          }, 100);
+    cooldown[isBuy ? 'buys' : 'sells']++;
+    cooldown.totalUSD += await this.filterEngine.calculateSwapValueUSD(swap, tokenDataCache) || 0;
+    return true;
+  }
 
-        } else if (data === 'clear_all_filters') {
-          await this.db.clearFilters(chatId);
-          
-          // Auto-disable notifications when filters are cleared
-          await this.db.addFilter(chatId, 'notifications_enabled', 'false');
-          
-          await ctx.reply('✅ All filters cleared!\n\n⚠️ Pingooor has been automatically turned OFF. Use /menu to turn it back ON when you\'re ready.');
-          
-        } else if (data === 'back_to_menu') {
-          this.showMainMenu(chatId);
-          
-        } else if (data.startsWith('del_')) {
-          // Handle individual filter deletion using index
-          const [, shortType, filterIndex] = data.split('_');
-          const index = parseInt(filterIndex);
-
-          // Map short types back to full filter types
-          const typeMapping = {
-            'tw': 'token_whitelist',
-            'mp': 'min_purchase',
-            'mc': 'max_market_cap',
-            'tb': 'token_blacklist',
-            'wb': 'whale_blacklist'
-          };
-
-          const filterType = typeMapping[shortType];
+  // Close expired cooldown windows, sending their follow-up if anything was folded
+  async flushCooldowns(chatTopics) {
+    const now = Date.now();
 
-          try {
-            const filters = await this.db.getUserFilters(chatId);
-            const typeFilters = filters.filter(f => f.filter_type === filterType);
-
-            if (index >= 0 && index < typeFilters.length) {
-              const filterToDelete = typeFilters[index];
-              await this.db.removeFilter(chatId, filterType, filterToDelete.filter_value);
-              
-              // Auto-disable notifications when filters are modified
-              await this.db.clearFilters(chatId, 'notifications_enabled');
-              await this.db.addFilter(chatId, 'notifications_enabled', 'false');
-              
-              await ctx.reply(`✅ Filter removed: ${filterToDelete.filter_value}\n\n⚠️ Pingooor has been automatically turned OFF due to filter changes. Use /menu to turn it back ON when you're done configuring.`);
-              
-              // Show updated filters after deletion
-              setTimeout(() => {
-                this.showFilters(chatId);
-              }, 100);
-            } else {
-              await ctx.reply('❌ Filter not found. Please try again.');
-            }
+    for (const [key, cooldown] of this.cooldowns) {
+      if (now < cooldown.windowEnd) continue;
+      this.cooldowns.delete(key);
 
-          } catch (error) {
-            await ctx.reply('❌ Error removing filter. Please try again.');
-          }
-        }
+      if (cooldown.buys + cooldown.sells === 0) continue;
 
-        await ctx.answerCallbackQuery();
-      } catch (error) {
-        await ctx.answerCallbackQuery('Error processing request');
-      }
-    });
+      const followUp = this.filterEngine.formatCooldownFollowUp(cooldown.symbol, cooldown.buys, cooldown.sells, cooldown.totalUSD, cooldown.locale);
+      this.deliverCooldownFollowUp(cooldown, followUp, chatTopics);
+    }
+  }
 
-    // Handle text messages (filter input)
-    this.awaitingInput = {};
-    
-    this.bot.on('message:text', async (ctx) => {
-      const chatId = ctx.chat.id;
-      const text = ctx.message.text;
-      
-      // Skip if it's a command
-      if (text.startsWith('/')) return;
-      
-      // Check if we're waiting for input
-      if (this.awaitingInput[chatId]) {
-        const filterType = this.awaitingInput[chatId];
-        delete this.awaitingInput[chatId];
-        
-        try {
-          if (filterType === 'min_purchase' || filterType === 'max_market_cap') {
-            const value = parseInt(text);
-            if (isNaN(value) || value <= 0 || text.includes('.')) {
-              await ctx.reply('❌ Please enter a valid positive whole number (no decimals).');
-              return;
-            }
-            // Clear existing values for single-value filters
-            await this.db.clearFilters(chatId, filterType);
-          }
-          
-          // Check limits for multi-value filters
-          if (filterType === 'token_whitelist' || filterType === 'token_blacklist' || filterType === 'whale_blacklist') {
-            const existingFilters = await this.db.getUserFilters(chatId);
-            const existingCount = existingFilters.filter(f => f.filter_type === filterType).length;
-            
-            if (existingCount >= 20) {
-              await ctx.reply('❌ Maximum 20 items allowed for this filter type. Clear some first.');
-              return;
-            }
-          }
-          
-          await this.db.addFilter(chatId, filterType, text);
-          
-          // Auto-disable notifications when filters are modified
-          await this.db.clearFilters(chatId, 'notifications_enabled');
-          await this.db.addFilter(chatId, 'notifications_enabled', 'false');
-          
-          await ctx.reply(`✅ Filter added successfully!\n\n⚠️ Pingooor has been automatically turned OFF due to filter changes. Use /menu to turn it back ON when you're done configuring.`);
-          
-        } catch (error) {
-          await ctx.reply('❌ Error adding filter. Please try again.');
-        }
+  // Edit the original alert(s) or send the follow-up separately (runs in the background)
+  async deliverCooldownFollowUp(cooldown, followUp, chatTopics) {
+    try {
+      if (cooldown.followUp === 'edit' && cooldown.sentMessages.length > 0) {
+        await Promise.all(cooldown.sentMessages.map(sent =>
+          this.queue.editMessageText(cooldown.chatId, sent.messageId, `${cooldown.notification}\n\n${followUp}`, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_markup: cooldown.replyMarkup
+          })
+        ));
+      } else {
+        await this.sendAlert(cooldown.chatId, followUp, chatTopics);
       }
-    });
+    } catch (error) {
+      // Editing can fail (e.g. message deleted) - fall back to a separate follow-up message
+      try {
+        await this.sendAlert(cooldown.chatId, followUp, chatTopics);
+      } catch (sendError) {
+        // Silent error handling
+      }
+    }
+  }
 
-    // Error handling
-    this.bot.catch((err) => {
-      // Silent error handling
+  // Persist open cooldown windows and muted-alert summaries (only when they changed)
+  async saveWindowState() {
+    const snapshot = JSON.stringify({
+      cooldowns: [...this.cooldowns],
+      mutedAlerts: [...this.mutedAlerts].map(([chatId, summary]) => [chatId, { ...summary, tokens: [...summary.tokens] }])
     });
+    if (snapshot === this.savedWindowState) return;
+
+    try {
+      await this.db.setState('alert_windows', snapshot);
+      this.savedWindowState = snapshot;
+    } catch (error) {
+      // Silent error handling - saved again after the next cycle
+    }
   }
 
-  async showMainMenu(chatId) {
-    // Get current settings
-    const filters = await this.db.getUserFilters(chatId);
-    const processedFilters = this.filterEngine.processFilters(filters);
-    
-    // Determine current mode for 3-way toggle
-    let currentMode = 'all_tokens'; // default
-    if (processedFilters.first_mention_only) {
-      currentMode = 'first_mention';
-    } else if (!processedFilters.monitor_all) {
-      currentMode = 'token_filter';
+  // Restore the snapshot written by saveWindowState (expired windows are flushed next cycle)
+  async loadWindowState() {
+    const snapshot = await this.db.getState('alert_windows');
+    if (!snapshot) return;
+
+    try {
+      const { cooldowns, mutedAlerts } = JSON.parse(snapshot);
+      this.cooldowns = new Map(cooldowns);
+      this.mutedAlerts = new Map(mutedAlerts.map(([chatId, summary]) => [chatId, { ...summary, tokens: new Map(summary.tokens) }]));
+      this.savedWindowState = snapshot;
+    } catch (error) {
+      console.error('⚠️ Ignoring unreadable cooldown/quiet hours state:', error.message);
     }
+  }
 
-    // Set button text to show NEXT mode (what you get when you click)
-    let modeButtonText = '🔵 All Tokens';
-    if (currentMode === 'all_tokens') {
-      modeButtonText = '⚪ Token Filter'; // Click to get Token Filter
-    } else if (currentMode === 'token_filter') {
-      modeButtonText = '🆕 First Mention Only'; // Click to get First Mention Only
-    } else if (currentMode === 'first_mention') {
-      modeButtonText = '🔵 All Tokens'; // Click to get All Tokens
+  // Count an alert held back by quiet hours for the end-of-window summary
+  async recordMutedAlert(chatId, swap, tokenDataCache) {
+    if (!this.mutedAlerts.has(chatId)) {
+      this.mutedAlerts.set(chatId, { count: 0, buys: 0, sells: 0, totalUSD: 0, tokens: new Map() });
     }
+    const summary = this.mutedAlerts.get(chatId);
 
-    const keyboard = new InlineKeyboard()
-      .text(modeButtonText, 'cycle_monitor_mode').row()
-      .text(processedFilters.notifications_enabled ? '🔕 Turn OFF' : '🔔 Turn ON', 'toggle_notifications').row()
-      .text('➕ Add Token Whitelist', 'add_token').row()
-      .text('💰 Set Min Purchase', 'add_min_purchase').row()
-      .text('📊 Set Max Market Cap', 'add_max_market_cap').row()
-      .text('🚫 Add Token Blacklist', 'add_blacklist').row()
-      .text('🐋 Add Whale Blacklist', 'add_whale_blacklist').row()
-      .text('🔍 View Filters', 'view_filters')
-      .text('🗑️ Clear All', 'clear_all_filters');
-
-    // Get current mode name for display
-    let currentModeName = 'All Tokens';
-    if (currentMode === 'token_filter') {
-      currentModeName = 'Token Filter';
-    } else if (currentMode === 'first_mention') {
-      currentModeName = 'First Mention Only';
-    }
-
-    const menuText = `🐋 Whaleooor Pingooor Settings
-
-**Current Status:**
-• Mode: ${currentModeName}
-• Pingoor: ${processedFilters.notifications_enabled ? 'ON 🔔' : 'OFF 🔕'}
-
-**How it works:**
-• **All Tokens + ON**: Get alerts for all whale transactions (use blacklist to exclude)
-• **Token Filter + ON**: Only get alerts for whitelisted tokens
-• **First Mention Only + ON**: Only get alerts for tokens appearing for the first time
-• **OFF**: No notifications (bot is paused)
-
-**Configure your settings:**
-• **Mode Button**: Cycles between All Tokens → Token Filter → First Mention Only
-• **Pingoor Toggle**: Turn bot ON/OFF
-• **Token Whitelist**: Add tokens to monitor (Token Filter mode)
-• **Token Blacklist**: Exclude tokens (All Tokens mode)
-• **Whale Blacklist**: Block specific whale addresses
-• **Min Purchase/Max Market Cap**: Additional filters
-
-Choose an option below:`;
+    const isBuy = this.filterEngine.isBuyTransaction(swap);
+    const relevantToken = isBuy ? swap.outputToken : swap.inputToken;
+    const symbol = await this.filterEngine.getTokenSymbol(relevantToken, tokenDataCache);
+
+    summary.count++;
+    summary[isBuy ? 'buys' : 'sells']++;
+    summary.totalUSD += await this.filterEngine.calculateSwapValueUSD(swap, tokenDataCache) || 0;
+    summary.tokens.set(symbol, (summary.tokens.get(symbol) || 0) + 1);
+  }
+
+  // Keep swaps within the grace window before the cursor (repeats are caught by the delivery claims)
+  filterByCursor(swaps) {
+    if (this.swapCursor === null || !this.swapSource.useCursor) return swaps;
+
+    const since = this.swapCursor - this.swapCursorGrace;
+    return swaps.filter(swap => swap.timestamp === null || swap.timestamp >= since);
+  }
 
+  // Move the cursor to the newest swap processed and persist it
+  async advanceSwapCursor(swaps) {
+    if (!this.swapSource.useCursor) return;
+
+    const newest = Math.max(...swaps.map(swap => swap.timestamp || 0));
+    if (!newest || (this.swapCursor !== null && newest <= this.swapCursor)) return;
+
+    this.swapCursor = newest;
     try {
-      await this.bot.api.sendMessage(chatId, menuText, {
-        reply_markup: keyboard,
-        parse_mode: 'Markdown'
-      });
+      await this.db.setState('swap_cursor', String(newest));
     } catch (error) {
-      // Silent error handling
+      // Silent error handling - saved again after the next poll
     }
   }
 
-  async showFilters(chatId) {
-    const filters = await this.db.getUserFilters(chatId);
-    
-    if (filters.length === 0) {
-      await this.bot.api.sendMessage(chatId, '❌ You have no active filters.');
+  // Store a matching swap in the durable digest queue
+  async queueDigestItem(chatId, swap, tokenDataCache) {
+    const isBuy = this.filterEngine.isBuyTransaction(swap);
+    const relevantToken = isBuy ? swap.outputToken : swap.inputToken;
+
+    await this.db.addDigestItem(chatId, {
+      signature: swap.signature,
+      tokenMint: relevantToken?.mint,
+      tokenSymbol: await this.filterEngine.getTokenSymbol(relevantToken, tokenDataCache),
+      isBuy,
+      usdValue: await this.filterEngine.calculateSwapValueUSD(swap, tokenDataCache) || 0,
+      whale: swap.feePayer
+    });
+  }
+
+  // Send digests whose interval has elapsed
+  async sendDueDigests() {
+    let pending;
+    try {
+      pending = await this.db.getPendingDigests();
+    } catch (error) {
       return;
     }
+    if (pending.length === 0) return;
 
-    let filtersText = '🔍 Your Active Filters:\n\n';
-    const keyboard = new InlineKeyboard();
-    
-    const filterGroups = {
-      token_whitelist: '✅ Token Whitelist',
-      min_purchase: '💰 Minimum Purchase',
-      max_market_cap: '📊 Maximum Market Cap',
-      token_blacklist: '🚫 Token Blacklist',
-      whale_blacklist: '🐋 Whale Blacklist'
-    };
-
-    // Short filter type mapping for callback data
-    const shortTypes = {
-      token_whitelist: 'tw',
-      min_purchase: 'mp',
-      max_market_cap: 'mc', 
-      token_blacklist: 'tb',
-      whale_blacklist: 'wb'
-    };
-
-    for (const [type, title] of Object.entries(filterGroups)) {
-      const typeFilters = filters.filter(f => f.filter_type === type);
-      if (typeFilters.length > 0) {
-        filtersText += `${title}:\n`;
-        typeFilters.forEach((filter, index) => {
-          filtersText += `  • ${filter.filter_value}\n`;
-          // Add delete button for each filter using short type and index
-          const shortValue = filter.filter_value.length > 8 ? 
-            filter.filter_value.slice(0, 8) + '...' : filter.filter_value;
-          keyboard.text(`❌ ${shortValue}`, `del_${shortTypes[type]}_${index}`).row();
-        });
-        filtersText += '\n';
+    const chatTopics = await this.db.getAllChatTopics();
+
+    for (const digest of pending) {
+      const deliveryKey = `digest:${digest.telegram_id}`;
+      if (this.pendingDeliveries.has(deliveryKey)) continue;
+
+      try {
+        const processedFilters = this.filterEngine.processFilters(await this.db.getUserFilters(digest.telegram_id));
+        const interval = this.filterEngine.DIGEST_INTERVALS[processedFilters.delivery_mode];
+
+        // Interval counts from the later of the last digest and the oldest queued swap;
+        // users who switched back to real-time get their leftovers right away
+        if (interval) {
+          const since = Math.max(
+            digest.last_digest_at ? new Date(digest.last_digest_at).getTime() : 0,
+            new Date(digest.oldest_at).getTime()
+          );
+          if (Date.now() - since < interval) continue;
+        }
+
+        // Quiet hours apply to digests too
+        const isQuiet = this.filterEngine.isQuietTime(processedFilters.quiet_hours);
+        if (isQuiet && processedFilters.quiet_mode === 'mute') continue;
+
+        if (processedFilters.notifications_enabled) {
+          const items = await this.db.getDigestItems(digest.telegram_id, digest.last_item_id);
+          const whaleLabels = await this.getWhaleLabelMap(digest.telegram_id, items.map(item => item.whale).filter(Boolean));
+          const message = this.filterEngine.formatDigest(items, processedFilters.delivery_mode, this.getUserLocale(digest), whaleLabels);
+
+          // Items are only cleared once the digest is delivered; a failed one is retried next cycle
+          this.pendingDeliveries.add(deliveryKey);
+          this.sendAlert(digest.telegram_id, message, chatTopics, { disable_notification: isQuiet })
+            .then(() => this.db.completeDigest(digest.telegram_id, digest.last_item_id))
+            .catch(() => {})
+            .finally(() => this.pendingDeliveries.delete(deliveryKey));
+          continue;
+        }
+
+        await this.db.completeDigest(digest.telegram_id, digest.last_item_id);
+      } catch (error) {
+        // Silent error handling - digest stays queued and is retried next cycle
       }
     }
+  }
 
-    keyboard.text('🔙 Back to Menu', 'back_to_menu');
-
-    await this.bot.api.sendMessage(chatId, filtersText + '\n💡 Tap ❌ to delete individual filters', {
-      reply_markup: keyboard
-    });
+  // Forget a summary once it's handled (unless a newer one has replaced it)
+  dropMutedSummary(chatId, summary) {
+    if (this.mutedAlerts.get(chatId) === summary) {
+      this.mutedAlerts.delete(chatId);
+    }
   }
 
-  startMonitoring() {
-    
-    // Run every X seconds based on POLLING_INTERVAL
-    cron.schedule(`*/${this.pollingInterval} * * * * *`, async () => {
+  // Send muted-alert summaries to users whose quiet hours have ended
+  async sendQuietHoursSummaries(chatTopics) {
+    for (const [chatId, summary] of this.mutedAlerts) {
+      const deliveryKey = `quiet:${chatId}`;
+      if (this.pendingDeliveries.has(deliveryKey)) continue;
+
       try {
-        await this.checkForNewSwaps();
+        const processedFilters = this.filterEngine.processFilters(await this.db.getUserFilters(chatId));
+
+        if (this.filterEngine.isQuietTime(processedFilters.quiet_hours)) continue;
+
+        if (processedFilters.quiet_summary && processedFilters.notifications_enabled) {
+          const locale = await this.getChatLocale(chatId);
+          this.pendingDeliveries.add(deliveryKey);
+          this.sendAlert(chatId, this.filterEngine.formatQuietSummary(summary, locale), chatTopics)
+            .then(() => this.dropMutedSummary(chatId, summary))
+            .catch((error) => {
+              // A summary Telegram rejects outright would fail the same way every cycle
+              if (this.queue.isPermanentFailure(error)) {
+                this.dropMutedSummary(chatId, summary);
+              }
+            })
+            .finally(() => this.pendingDeliveries.delete(deliveryKey));
+          continue;
+        }
+        this.mutedAlerts.delete(chatId);
       } catch (error) {
+        // Silent error handling - summary is retried next cycle
       }
-    });
+    }
+  }
+
+  // Deliver summaries for quiet hours that have ended, digests that are due and expired
+  // cooldown follow-ups (run by the delivery scheduler, even when no new swaps arrive)
+  async sendScheduledDeliveries() {
+    if (this.mutedAlerts.size > 0) {
+      await this.sendQuietHoursSummaries(await this.db.getAllChatTopics());
+    }
+    await this.sendDueDigests();
+    await this.pruneDeliveryHistory();
+    if (this.cooldowns.size > 0) {
+      await this.flushCooldowns(await this.db.getAllChatTopics());
+    }
+    await this.saveWindowState();
   }
 
+  // One monitoring cycle (run by the scheduler); a thrown error marks the cycle as failed
+  // Returns: { swaps } - how many new swaps were processed
   async checkForNewSwaps() {
     try {
-      // Fetch latest swaps from the API
-      const response = await fetch(this.apiUrl);
-      if (!response.ok) {
-        return;
-      }
-
-      const swaps = await response.json();
-      if (!Array.isArray(swaps) || swaps.length === 0) {
-        return;
+      // Fetch new swaps from the configured source (errors are recorded as a failed poll);
+      // malformed records are dropped here so everything below works on normalized swaps
+      const swaps = this.filterByCursor(this.swapSchema.normalizeBatch(await this.swapSource.fetchSwaps()));
+      if (swaps.length === 0) {
+        this.swapSource.ack();
+        return { swaps: 0 };
       }
 
       // Get all users
       const users = await this.db.getAllUsers();
       console.log(`👥 ${users?.length || 0} users`);
 
+      // Forum groups receive alerts in each registered topic
+      const chatTopics = await this.db.getAllChatTopics();
+
+      // Whale labels are only looked up for the whales in this batch
+      const swapWhales = [...new Set(swaps.map(swap => swap.feePayer).filter(Boolean))];
+
       // First, identify which tokens are first mentions (don't mark them yet)
       const firstMentionTokens = new Set();
       for (const swap of swaps) {
@@ -600,6 +2563,7 @@ Choose an option below:`;
                 price: jupiterData.price,
                 marketCap: knownSupply ? (jupiterData.price * knownSupply) : (dexData.marketCap || 0),
                 priceChange24h: jupiterData.priceChange24h,
+                liquidity: dexData.liquidity || 0,
                 isHardcodedSupply: !!knownSupply,
                 source: knownSupply ? 'Jupiter+Hardcoded' : 'Jupiter+DexScreener',
                 symbol: dexData.symbol || symbol  // Store symbol in cache
@@ -618,6 +2582,7 @@ Choose an option below:`;
               price: 0,
               marketCap: 0,
               priceChange24h: 0,
+              liquidity: 0,
               isHardcodedSupply: false,
               source: 'Error',
               symbol: symbol || null  // Include symbol even on error
@@ -658,6 +2623,7 @@ Choose an option below:`;
               price: 0,
               marketCap: 0,
               priceChange24h: 0,
+              liquidity: 0,
               isHardcodedSupply: false,
               symbol: symbol || null  // Include symbol even on error
             });
@@ -666,19 +2632,25 @@ Choose an option below:`;
         await Promise.all(fetchPromises);
       }
 
+      // Keep recent swaps searchable from inline mode
+      await this.recordRecentSwaps(swaps, tokenDataCache);
+
       // Process each swap against each user's filters
+      let processingFailed = false;
       for (const user of users) {
         try {
           const filters = await this.db.getUserFilters(user.telegram_id);
           const processedFilters = this.filterEngine.processFilters(filters);
+          const locale = this.getUserLocale(user);
+          let whaleLabels = null; // Loaded on the first alert for this user
 
-          // Only log for users who have notifications enabled
+          // Users with notifications off never match, so there's nothing to deliver
           if (processedFilters.notifications_enabled) {
             let matchingSwaps = 0;
             let failedNotifications = 0;
 
             for (const swap of swaps) {
-              const result = await this.filterEngine.shouldNotify(user.telegram_id, swap, filters, this.db, firstMentionTokens, tokenDataCache);
+              const result = await this.filterEngine.shouldNotify(user.telegram_id, swap, filters, this.db, firstMentionTokens, tokenDataCache, locale);
 
 
               if (result.matches) {
@@ -686,50 +2658,72 @@ Choose an option below:`;
 
 
                 try {
+                  // Each swap reaches a user at most once, even across restarts and overlapping polls
+                  if (!(await this.db.claimSwapDelivery(user.telegram_id, swap.signature))) {
+                    continue;
+                  }
+
+                  // Digest mode: queue the swap, it's sent with the next summary
+                  if (processedFilters.delivery_mode !== 'realtime') {
+                    await this.queueDigestItem(user.telegram_id, swap, tokenDataCache);
+                    continue;
+                  }
+
+                  // Quiet hours: hold alerts back (mute) or deliver them without sound (silent)
+                  const isQuiet = this.filterEngine.isQuietTime(processedFilters.quiet_hours);
+                  if (isQuiet && processedFilters.quiet_mode === 'mute') {
+                    await this.recordMutedAlert(user.telegram_id, swap, tokenDataCache);
+                    continue;
+                  }
+
+                  // Token cooldown: fold repeat alerts into the open window's follow-up
+                  if (await this.foldIntoCooldown(user.telegram_id, swap, tokenDataCache)) {
+                    continue;
+                  }
+
                   // Calculate isFirstMention based on the global firstMentionTokens Set, not user-specific result
                   const inputMint = swap.inputToken?.mint;
                   const outputMint = swap.outputToken?.mint;
                   const globalIsFirstMention = (inputMint && firstMentionTokens.has(inputMint)) || (outputMint && firstMentionTokens.has(outputMint));
 
-                  const notification = await this.filterEngine.formatNotification(swap, globalIsFirstMention, tokenDataCache);
-
-
-                  await this.bot.api.sendMessage(user.telegram_id, notification, {
-                    parse_mode: 'Markdown',
-                    disable_web_page_preview: true
+                  whaleLabels = whaleLabels || await this.getWhaleLabelMap(user.telegram_id, swapWhales);
+                  const notification = await this.filterEngine.formatNotification(swap, globalIsFirstMention, tokenDataCache, result.reasons, locale, processedFilters.alert_template, processedFilters.custom_template, whaleLabels);
+
+
+                  const alertId = await this.recordSentAlert(user.telegram_id, swap, tokenDataCache);
+                  const replyMarkup = this.buildAlertKeyboard(alertId, locale);
+
+                  // Delivered in the background; the cooldown sees the message ids once they're sent
+                  const sentMessages = [];
+                  this.sendAlert(user.telegram_id, notification, chatTopics, {
+                    disable_notification: isQuiet,
+                    reply_markup: replyMarkup
+                  }).then((messages) => {
+                    sentMessages.push(...messages);
+                    this.stats.alertsSent++;
+                    this.updateAlertStatus(alertId, 'sent');
+                  }).catch(() => {
+                    this.stats.alertsFailed++;
+                    this.updateAlertStatus(alertId, 'failed');
                   });
 
+                  if (processedFilters.token_cooldown > 0) {
+                    await this.openCooldown(user.telegram_id, swap, tokenDataCache, processedFilters, notification, sentMessages, locale, replyMarkup);
+                  }
+
 
                 } catch (notifyError) {
                   failedNotifications++;
+                  this.stats.alertsFailed++;
+                  processingFailed = true;
                 }
               }
             }
 
             // Removed false positive logging - users might legitimately not match any swaps
-
-          } else {
-            // Regular processing for users with notifications off (no logging)
-            let matchingSwaps = 0;
-            for (const swap of swaps) {
-              const result = await this.filterEngine.shouldNotify(user.telegram_id, swap, filters, this.db, firstMentionTokens, tokenDataCache);
-              if (result.matches) {
-                matchingSwaps++;
-
-                // Calculate isFirstMention based on the global firstMentionTokens Set, not user-specific result
-                const inputMint = swap.inputToken?.mint;
-                const outputMint = swap.outputToken?.mint;
-                const globalIsFirstMention = (inputMint && firstMentionTokens.has(inputMint)) || (outputMint && firstMentionTokens.has(outputMint));
-
-                const notification = await this.filterEngine.formatNotification(swap, globalIsFirstMention, tokenDataCache);
-                await this.bot.api.sendMessage(user.telegram_id, notification, {
-                  parse_mode: 'Markdown',
-                  disable_web_page_preview: true
-                });
-              }
-            }
           }
         } catch (userError) {
+          processingFailed = true;
         }
       }
 
@@ -741,33 +2735,70 @@ Choose an option below:`;
         await this.db.markTokenAsFirstMentioned(tokenMint, tokenSymbol);
       }
 
+      // If a user couldn't be processed the cursor stays put and the source keeps the swaps,
+      // so they're checked again next cycle (a cycle that throws gets them again too)
+      if (!processingFailed) {
+        await this.advanceSwapCursor(swaps);
+        this.swapSource.ack();
+      }
+      await this.saveWindowState();
+
+      return { swaps: swaps.length };
     } catch (error) {
-      // Silent error handling for swap checking
+      // Reported by the scheduler as a failed cycle (shown in /stats) and backed off
+      throw error;
     }
   }
 
-  start() {
+  async start() {
+    try {
+      await this.db.initSchema();
+      await this.conversations.prune();
+      this.bannedIds = new Set(await this.db.getBannedIds());
+      const cursor = await this.db.getState('swap_cursor');
+      this.swapCursor = cursor ? Number(cursor) : null;
+      await this.loadWindowState();
+    } catch (error) {
+      // Running on a half-migrated schema would fail in confusing ways later
+      console.error('❌ Database schema setup failed:', error);
+      process.exit(1);
+    }
+
+    this.startMonitoring();
     this.bot.start();
   }
 
   stop() {
+    this.scheduler.stop();
+    this.deliveryScheduler.stop();
+    this.swapSource.stop();
     this.bot.stop();
   }
 }
 
-// Create and start the bot
-const whaleBot = new WhaleBot();
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-  whaleBot.stop();
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  whaleBot.stop();
-  process.exit(0);
-});
-
-// Start the bot
-whaleBot.start();
\ No newline at end of file
+// Offline backtest: node bot.js --dry-run swaps.jsonl [--user ID] [--prices prices.json]
+if (process.argv.includes('--dry-run')) {
+  const options = DryRun.parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error('Usage: node bot.js --dry-run <swaps.jsonl> [--user <telegram id>] [--prices <prices.json>]');
+    process.exit(1);
+  }
+  new DryRun(options).run().then(code => process.exit(code));
+} else {
+  // Create and start the bot
+  const whaleBot = new WhaleBot();
+
+  // Graceful shutdown
+  process.on('SIGINT', () => {
+    whaleBot.stop();
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', () => {
+    whaleBot.stop();
+    process.exit(0);
+  });
+
+  // Start the bot
+  whaleBot.start();
+}
@@ -0,0 +1,56 @@
+// Persistent state for multi-step conversations (pending prompts, confirmations)
+// Stored per chat member so group admins don't answer each other's prompts,
+// and expired prompts are ignored so a late message is never taken as input
+class ConversationStore {
+  constructor(database, ttl = 10 * 60 * 1000) {
+    this.db = database;
+    this.ttl = ttl; // 10 minutes by default
+  }
+
+  // Channel posts have no sender, so the channel itself is the member
+  getKey(ctx) {
+    return {
+      chatId: ctx.chat.id,
+      userId: ctx.from?.id || ctx.chat.id
+    };
+  }
+
+  // Returns the pending state object, or null if none / expired
+  async get(ctx) {
+    const { chatId, userId } = this.getKey(ctx);
+    const row = await this.db.getConversationState(chatId, userId);
+    if (!row) {
+      return null;
+    }
+
+    if (new Date(row.expires_at).getTime() <= Date.now()) {
+      await this.db.clearConversationState(chatId, userId);
+      return null;
+    }
+
+    return row.state;
+  }
+
+  // Store (or replace) the pending state; every step restarts the timeout
+  async set(ctx, state) {
+    const { chatId, userId } = this.getKey(ctx);
+    await this.db.setConversationState(chatId, userId, state, new Date(Date.now() + this.ttl));
+  }
+
+  // Returns: true if there was something to clear
+  async clear(ctx) {
+    const { chatId, userId } = this.getKey(ctx);
+    return (await this.db.clearConversationState(chatId, userId)) > 0;
+  }
+
+  // Remove all expired states
+  async prune() {
+    return this.db.pruneConversationStates();
+  }
+
+  get ttlMinutes() {
+    return Math.round(this.ttl / 60000);
+  }
+}
+
+module.exports = ConversationStore;
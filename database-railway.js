@@ -20,6 +20,103 @@ class UserDatabase {
     });
   }
 
+  async close() {
+    await this.pool.end();
+  }
+
+  // Create tables and columns added after the original schema (safe to run on every start)
+  async initSchema() {
+    try {
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS filter_profiles (
+          id SERIAL PRIMARY KEY,
+          telegram_id BIGINT NOT NULL,
+          profile_name TEXT NOT NULL,
+          filters JSONB NOT NULL DEFAULT '[]',
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE (telegram_id, profile_name)
+        )
+      `);
+      await this.pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS active_profile TEXT`);
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS chat_topics (
+          telegram_id BIGINT NOT NULL,
+          message_thread_id BIGINT NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          PRIMARY KEY (telegram_id, message_thread_id)
+        )
+      `);
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS digest_queue (
+          id SERIAL PRIMARY KEY,
+          telegram_id BIGINT NOT NULL,
+          signature TEXT NOT NULL,
+          token_mint TEXT,
+          token_symbol TEXT,
+          is_buy BOOLEAN NOT NULL,
+          usd_value DOUBLE PRECISION DEFAULT 0,
+          whale TEXT,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE (telegram_id, signature)
+        )
+      `);
+      await this.pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMPTZ`);
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS conversation_state (
+          chat_id BIGINT NOT NULL,
+          user_id BIGINT NOT NULL,
+          state JSONB NOT NULL,
+          expires_at TIMESTAMPTZ NOT NULL,
+          PRIMARY KEY (chat_id, user_id)
+        )
+      `);
+      await this.pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS language TEXT`);
+      await this.pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS banned BOOLEAN DEFAULT FALSE`);
+      // Reachability: active, blocked, deactivated or chat_not_found (set from send errors)
+      await this.pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'active'`);
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS sent_alerts (
+          id SERIAL PRIMARY KEY,
+          telegram_id BIGINT NOT NULL,
+          token_mint TEXT,
+          token_symbol TEXT,
+          whale TEXT,
+          signature TEXT,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS whale_labels (
+          owner_id BIGINT NOT NULL,
+          whale TEXT NOT NULL,
+          label TEXT NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          PRIMARY KEY (owner_id, whale)
+        )
+      `);
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS delivered_swaps (
+          telegram_id BIGINT NOT NULL,
+          signature TEXT NOT NULL,
+          delivered_at TIMESTAMPTZ DEFAULT NOW(),
+          PRIMARY KEY (telegram_id, signature)
+        )
+      `);
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS bot_state (
+          key TEXT PRIMARY KEY,
+          value TEXT,
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      // Alerts recorded before delivery tracking existed were already sent
+      await this.pool.query(`ALTER TABLE sent_alerts ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'sent'`);
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Add or update user
   async addUser(telegramId, username) {
     try {
@@ -41,9 +138,10 @@ class UserDatabase {
   async getUserFilters(telegramId) {
     try {
       const query = `
-        SELECT filter_type, filter_value
+        SELECT id, filter_type, filter_value
         FROM user_filters
         WHERE telegram_id = $1
+        ORDER BY id
       `;
       const result = await this.pool.query(query, [telegramId]);
       return result.rows || [];
@@ -81,6 +179,43 @@ class UserDatabase {
     }
   }
 
+  // Get a single filter row by its id (scoped to the user)
+  async getFilterById(telegramId, filterId) {
+    try {
+      const query = `
+        SELECT id, filter_type, filter_value
+        FROM user_filters
+        WHERE telegram_id = $1 AND id = $2
+      `;
+      const result = await this.pool.query(query, [telegramId, filterId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove filter by its id
+  async removeFilterById(telegramId, filterId) {
+    try {
+      const query = `DELETE FROM user_filters WHERE telegram_id = $1 AND id = $2`;
+      const result = await this.pool.query(query, [telegramId, filterId]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update the value of a filter row in place
+  async updateFilterValue(telegramId, filterId, filterValue) {
+    try {
+      const query = `UPDATE user_filters SET filter_value = $3 WHERE telegram_id = $1 AND id = $2`;
+      const result = await this.pool.query(query, [telegramId, filterId, filterValue]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Clear all filters for user
   async clearFilters(telegramId, filterType = null) {
     try {
@@ -99,10 +234,505 @@ class UserDatabase {
     }
   }
 
+  // Replace all filters for user in a single transaction
+  async replaceFilters(telegramId, filters) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`DELETE FROM user_filters WHERE telegram_id = $1`, [telegramId]);
+      for (const filter of filters) {
+        await client.query(
+          `INSERT INTO user_filters (telegram_id, filter_type, filter_value) VALUES ($1, $2, $3)`,
+          [telegramId, filter.filter_type, filter.filter_value]
+        );
+      }
+      await client.query('COMMIT');
+      return filters.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Save (or overwrite) a named filter profile
+  async saveProfile(telegramId, profileName, filters) {
+    try {
+      const query = `
+        INSERT INTO filter_profiles (telegram_id, profile_name, filters)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (telegram_id, profile_name)
+        DO UPDATE SET filters = EXCLUDED.filters, updated_at = NOW()
+        RETURNING id
+      `;
+      const result = await this.pool.query(query, [telegramId, profileName, JSON.stringify(filters)]);
+      return result.rows[0]?.id;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // List user's profiles (without their filters)
+  async getProfiles(telegramId) {
+    try {
+      const query = `
+        SELECT id, profile_name, updated_at
+        FROM filter_profiles
+        WHERE telegram_id = $1
+        ORDER BY profile_name
+      `;
+      const result = await this.pool.query(query, [telegramId]);
+      return result.rows || [];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get a single profile by name or id
+  async getProfile(telegramId, { name = null, id = null }) {
+    try {
+      const query = `
+        SELECT id, profile_name, filters
+        FROM filter_profiles
+        WHERE telegram_id = $1 AND (profile_name = $2 OR id = $3)
+      `;
+      const result = await this.pool.query(query, [telegramId, name, id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delete a profile by name
+  async deleteProfile(telegramId, profileName) {
+    try {
+      const query = `DELETE FROM filter_profiles WHERE telegram_id = $1 AND profile_name = $2`;
+      const result = await this.pool.query(query, [telegramId, profileName]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remember which profile was last loaded (null = none)
+  async setActiveProfile(telegramId, profileName) {
+    try {
+      const query = `UPDATE users SET active_profile = $2 WHERE telegram_id = $1`;
+      const result = await this.pool.query(query, [telegramId, profileName]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getActiveProfile(telegramId) {
+    try {
+      const query = `SELECT active_profile FROM users WHERE telegram_id = $1`;
+      const result = await this.pool.query(query, [telegramId]);
+      return result.rows[0]?.active_profile || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Bot language of a chat (null until set or defaulted)
+  async getLanguage(telegramId) {
+    try {
+      const query = `SELECT language FROM users WHERE telegram_id = $1`;
+      const result = await this.pool.query(query, [telegramId]);
+      return result.rows[0]?.language || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async setLanguage(telegramId, language) {
+    try {
+      const query = `UPDATE users SET language = $2 WHERE telegram_id = $1`;
+      const result = await this.pool.query(query, [telegramId, language]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Register a forum topic as an alert destination for a group
+  async addChatTopic(telegramId, messageThreadId) {
+    try {
+      const query = `
+        INSERT INTO chat_topics (telegram_id, message_thread_id)
+        VALUES ($1, $2)
+        ON CONFLICT DO NOTHING
+      `;
+      const result = await this.pool.query(query, [telegramId, messageThreadId]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async removeChatTopic(telegramId, messageThreadId) {
+    try {
+      const query = `DELETE FROM chat_topics WHERE telegram_id = $1 AND message_thread_id = $2`;
+      const result = await this.pool.query(query, [telegramId, messageThreadId]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get all forum topic destinations grouped by chat: Map<telegram_id, message_thread_id[]>
+  async getAllChatTopics() {
+    try {
+      const query = `SELECT telegram_id, message_thread_id FROM chat_topics`;
+      const result = await this.pool.query(query);
+      const topics = new Map();
+      for (const row of result.rows) {
+        const chatId = String(row.telegram_id);
+        if (!topics.has(chatId)) {
+          topics.set(chatId, []);
+        }
+        topics.get(chatId).push(Number(row.message_thread_id));
+      }
+      return topics;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Queue a matching swap for the user's next digest
+  async addDigestItem(telegramId, item) {
+    try {
+      const query = `
+        INSERT INTO digest_queue (telegram_id, signature, token_mint, token_symbol, is_buy, usd_value, whale)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (telegram_id, signature) DO NOTHING
+      `;
+      const result = await this.pool.query(query, [
+        telegramId, item.signature, item.tokenMint, item.tokenSymbol, item.isBuy, item.usdValue, item.whale
+      ]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Users with queued digest items, with their oldest item and last digest time
+  async getPendingDigests() {
+    try {
+      const query = `
+        SELECT q.telegram_id, MIN(q.created_at) AS oldest_at, MAX(q.id) AS last_item_id, u.last_digest_at, u.language
+        FROM digest_queue q
+        LEFT JOIN users u ON u.telegram_id = q.telegram_id
+        WHERE COALESCE(u.status, 'active') = 'active'
+        GROUP BY q.telegram_id, u.last_digest_at, u.language
+      `;
+      const result = await this.pool.query(query);
+      return result.rows || [];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getDigestItems(telegramId, lastItemId) {
+    try {
+      const query = `
+        SELECT signature, token_mint, token_symbol, is_buy, usd_value, whale, created_at
+        FROM digest_queue
+        WHERE telegram_id = $1 AND id <= $2
+        ORDER BY id
+      `;
+      const result = await this.pool.query(query, [telegramId, lastItemId]);
+      return result.rows || [];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove sent digest items and remember when the digest went out
+  async completeDigest(telegramId, lastItemId) {
+    try {
+      await this.pool.query(`DELETE FROM digest_queue WHERE telegram_id = $1 AND id <= $2`, [telegramId, lastItemId]);
+      await this.pool.query(`UPDATE users SET last_digest_at = NOW() WHERE telegram_id = $1`, [telegramId]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remember what an alert was about so its buttons only need to carry the alert id
+  async addSentAlert(telegramId, alert) {
+    try {
+      const query = `
+        INSERT INTO sent_alerts (telegram_id, token_mint, token_symbol, whale, signature, status)
+        VALUES ($1, $2, $3, $4, $5, 'queued')
+        RETURNING id
+      `;
+      const result = await this.pool.query(query, [telegramId, alert.tokenMint, alert.tokenSymbol, alert.whale, alert.signature]);
+      return result.rows[0]?.id;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getSentAlert(telegramId, alertId) {
+    try {
+      const query = `SELECT * FROM sent_alerts WHERE telegram_id = $1 AND id = $2`;
+      const result = await this.pool.query(query, [telegramId, alertId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delivery status: queued -> sent | failed
+  async updateSentAlertStatus(alertId, status) {
+    try {
+      const query = `UPDATE sent_alerts SET status = $2 WHERE id = $1`;
+      await this.pool.query(query, [alertId, status]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async pruneSentAlerts(maxAgeDays) {
+    try {
+      const query = `DELETE FROM sent_alerts WHERE created_at < NOW() - make_interval(days => $1)`;
+      const result = await this.pool.query(query, [maxAgeDays]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Claim a swap for a user so it's only ever delivered once
+  // Returns: true if the swap is new for this user, false if it was already delivered
+  async claimSwapDelivery(telegramId, signature) {
+    try {
+      const query = `
+        INSERT INTO delivered_swaps (telegram_id, signature)
+        VALUES ($1, $2)
+        ON CONFLICT (telegram_id, signature) DO NOTHING
+        RETURNING signature
+      `;
+      const result = await this.pool.query(query, [telegramId, signature]);
+      return result.rowCount > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async pruneDeliveredSwaps(maxAgeHours) {
+    try {
+      const query = `DELETE FROM delivered_swaps WHERE delivered_at < NOW() - make_interval(hours => $1)`;
+      const result = await this.pool.query(query, [maxAgeHours]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Small key/value store for bot-wide state (e.g. the swap poll cursor)
+  async getState(key) {
+    try {
+      const result = await this.pool.query(`SELECT value FROM bot_state WHERE key = $1`, [key]);
+      return result.rows[0]?.value ?? null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async setState(key, value) {
+    try {
+      const query = `
+        INSERT INTO bot_state (key, value, updated_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (key)
+        DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+      `;
+      await this.pool.query(query, [key, value]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Whale labels are owned by a chat, or by owner 0 for global labels
+  async setWhaleLabel(ownerId, whale, label) {
+    try {
+      const query = `
+        INSERT INTO whale_labels (owner_id, whale, label)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (owner_id, whale)
+        DO UPDATE SET label = EXCLUDED.label
+      `;
+      await this.pool.query(query, [ownerId, whale, label]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async removeWhaleLabel(ownerId, whale) {
+    try {
+      const result = await this.pool.query(`DELETE FROM whale_labels WHERE owner_id = $1 AND whale = $2`, [ownerId, whale]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Labels of the given owners, optionally only for some whales
+  async getWhaleLabels(ownerIds, whales = null) {
+    try {
+      let query = `SELECT owner_id, whale, label FROM whale_labels WHERE owner_id = ANY($1)`;
+      const params = [ownerIds];
+      if (whales) {
+        query += ` AND whale = ANY($2)`;
+        params.push(whales);
+      }
+      query += ` ORDER BY label`;
+
+      const result = await this.pool.query(query, params);
+      return result.rows || [];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Alerts per delivery status over the last hours, e.g. { queued: 2, sent: 140, failed: 1 }
+  async getSentAlertStatusCounts(hours) {
+    try {
+      const query = `
+        SELECT status, COUNT(*) AS count
+        FROM sent_alerts
+        WHERE created_at > NOW() - make_interval(hours => $1)
+        GROUP BY status
+      `;
+      const result = await this.pool.query(query, [hours]);
+      const counts = { queued: 0, sent: 0, failed: 0 };
+      for (const row of result.rows) {
+        counts[row.status] = parseInt(row.count) || 0;
+      }
+      return counts;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Ban or unban a user or chat (banned ids may not have used the bot yet)
+  async setBanned(telegramId, banned) {
+    try {
+      const query = `
+        INSERT INTO users (telegram_id, banned)
+        VALUES ($1, $2)
+        ON CONFLICT (telegram_id)
+        DO UPDATE SET banned = EXCLUDED.banned
+      `;
+      await this.pool.query(query, [telegramId, banned]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getBannedIds() {
+    try {
+      const result = await this.pool.query(`SELECT telegram_id FROM users WHERE banned`);
+      return result.rows.map(row => String(row.telegram_id));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Unreachable chats are skipped until they /start again (status 'active')
+  async setUserStatus(telegramId, status) {
+    try {
+      const query = `UPDATE users SET status = $2 WHERE telegram_id = $1`;
+      await this.pool.query(query, [telegramId, status]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // User counts for /stats: total, with notifications on, banned and unreachable
+  async getUserStats() {
+    try {
+      const query = `
+        SELECT
+          COUNT(*) AS total,
+          COUNT(*) FILTER (WHERE u.banned) AS banned,
+          COUNT(*) FILTER (WHERE u.status = 'blocked') AS blocked,
+          COUNT(*) FILTER (WHERE u.status = 'deactivated') AS deactivated,
+          COUNT(*) FILTER (WHERE u.status = 'chat_not_found') AS chat_not_found,
+          COUNT(*) FILTER (WHERE u.banned IS NOT TRUE AND COALESCE(u.status, 'active') = 'active' AND EXISTS (
+            SELECT 1 FROM user_filters f
+            WHERE f.telegram_id = u.telegram_id
+              AND f.filter_type = 'notifications_enabled'
+              AND f.filter_value = 'true'
+          )) AS active
+        FROM users u
+      `;
+      const result = await this.pool.query(query);
+      const row = result.rows[0] || {};
+      return {
+        total: parseInt(row.total) || 0,
+        active: parseInt(row.active) || 0,
+        banned: parseInt(row.banned) || 0,
+        blocked: parseInt(row.blocked) || 0,
+        deactivated: parseInt(row.deactivated) || 0,
+        chatNotFound: parseInt(row.chat_not_found) || 0
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Pending conversation state for a chat member
+  async getConversationState(chatId, userId) {
+    try {
+      const query = `SELECT state, expires_at FROM conversation_state WHERE chat_id = $1 AND user_id = $2`;
+      const result = await this.pool.query(query, [chatId, userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async setConversationState(chatId, userId, state, expiresAt) {
+    try {
+      const query = `
+        INSERT INTO conversation_state (chat_id, user_id, state, expires_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (chat_id, user_id)
+        DO UPDATE SET state = EXCLUDED.state, expires_at = EXCLUDED.expires_at
+      `;
+      await this.pool.query(query, [chatId, userId, JSON.stringify(state), expiresAt]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async clearConversationState(chatId, userId) {
+    try {
+      const query = `DELETE FROM conversation_state WHERE chat_id = $1 AND user_id = $2`;
+      const result = await this.pool.query(query, [chatId, userId]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async pruneConversationStates() {
+    try {
+      const result = await this.pool.query(`DELETE FROM conversation_state WHERE expires_at <= NOW()`);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Get all users (for broadcasting)
   async getAllUsers() {
     try {
-      const query = `SELECT telegram_id FROM users`;
+      const query = `SELECT telegram_id, language FROM users WHERE banned IS NOT TRUE AND COALESCE(status, 'active') = 'active'`;
       const result = await this.pool.query(query);
       return result.rows || [];
     } catch (error) {
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const UserDatabase = require('./database-railway');
+const FilterEngine = require('./filters');
+const I18n = require('./i18n');
+const SwapSchema = require('./swap-schema');
+const { ReplaySwapSource } = require('./swap-sources');
+
+// Offline backtest: runs a JSONL swap file through every stored user's filters (or one user's)
+// and prints the alerts that would have fired and why. Nothing is sent and nothing is written:
+// token data comes from a recorded prices file (or zeroed stubs), never from the price APIs.
+//
+//   node bot.js --dry-run swaps.jsonl [--user <telegram id>] [--prices prices.json]
+//
+// prices.json maps mints to token data, e.g.
+//   { "<mint>": { "price": 0.00002, "marketCap": 1200000000, "liquidity": 5000000, "priceChange24h": 3.1, "symbol": "BONK" } }
+class DryRun {
+  constructor(options) {
+    this.swapsFile = options.swapsFile;
+    this.userId = options.userId || null;
+    this.pricesFile = options.pricesFile || null;
+    this.locale = 'en';
+
+    this.i18n = new I18n();
+    this.filterEngine = new FilterEngine(this.i18n);
+    this.swapSchema = new SwapSchema();
+  }
+
+  // Returns: the options, or null if the arguments are incomplete
+  static parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+      if (argv[i] === '--dry-run') {
+        options.swapsFile = argv[++i];
+      } else if (argv[i] === '--user') {
+        options.userId = argv[++i];
+      } else if (argv[i] === '--prices') {
+        options.pricesFile = argv[++i];
+      }
+    }
+
+    if (!options.swapsFile || (options.userId !== undefined && !/^-?\d+$/.test(options.userId || ''))) {
+      return null;
+    }
+    return options;
+  }
+
+  // Returns: the process exit code
+  async run() {
+    const source = new ReplaySwapSource(this.swapsFile, { batchSize: Infinity });
+    let tokenDataCache;
+    try {
+      await source.start();
+      tokenDataCache = this.loadTokenData();
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+
+    const swaps = this.swapSchema.normalizeBatch(await source.fetchSwaps());
+    this.prefillTokenData(swaps, tokenDataCache);
+
+    const db = new UserDatabase();
+    try {
+      const firstMentions = await this.findFirstMentions(swaps, db);
+      const users = this.userId ? [{ telegram_id: this.userId }] : await db.getAllUsers();
+
+      console.log(`🧪 Dry run: ${swaps.length} swaps from ${this.swapsFile}, ${users.length} user(s)${this.pricesFile ? `, prices from ${this.pricesFile}` : ', stubbed prices'}\n`);
+
+      const alertsPerUser = new Map();
+      let skipped = 0;
+
+      for (const user of users) {
+        const processedFilters = this.filterEngine.processFilters(await db.getUserFilters(user.telegram_id));
+
+        // A single user is checked even with alerts off, to try out their filters
+        if (!processedFilters.notifications_enabled) {
+          if (!this.userId) {
+            skipped++;
+            continue;
+          }
+          console.log(`⚠️ Alerts are OFF for ${user.telegram_id} - showing what would fire if they were on\n`);
+        }
+        const filters = { ...processedFilters, notifications_enabled: true };
+
+        for (const swap of swaps) {
+          const result = await this.filterEngine.matchesFilters(swap, filters, db, firstMentions.get(swap.signature), user.telegram_id, tokenDataCache, this.locale);
+          if (!result.matches) continue;
+
+          alertsPerUser.set(user.telegram_id, (alertsPerUser.get(user.telegram_id) || 0) + 1);
+          console.log(await this.formatAlert(user.telegram_id, swap, result, tokenDataCache));
+        }
+      }
+
+      this.printSummary(source, swaps, users.length - skipped, skipped, alertsPerUser);
+      return 0;
+    } catch (error) {
+      console.error(`❌ Dry run failed: ${error.message}`);
+      return 1;
+    } finally {
+      await db.close();
+    }
+  }
+
+  // Recorded token data by mint (empty without a prices file)
+  loadTokenData() {
+    const tokenDataCache = new Map();
+    if (!this.pricesFile) return tokenDataCache;
+
+    const prices = JSON.parse(fs.readFileSync(this.pricesFile, 'utf8'));
+    for (const [mint, data] of Object.entries(prices)) {
+      tokenDataCache.set(mint, {
+        price: Number(data.price) || 0,
+        marketCap: Number(data.marketCap) || 0,
+        priceChange24h: Number(data.priceChange24h) || 0,
+        liquidity: Number(data.liquidity) || 0,
+        isHardcodedSupply: false,
+        source: 'Recorded',
+        symbol: data.symbol || null
+      });
+    }
+    return tokenDataCache;
+  }
+
+  // Every mint needs an entry (with a symbol) so the filter engine never calls out to the APIs
+  prefillTokenData(swaps, tokenDataCache) {
+    for (const swap of swaps) {
+      for (const token of [swap.inputToken, swap.outputToken]) {
+        const cached = tokenDataCache.get(token.mint);
+        const symbol = cached?.symbol || token.metadata.symbol || token.metadata.name || 'Unknown';
+
+        tokenDataCache.set(token.mint, cached ? { ...cached, symbol } : {
+          price: 0,
+          marketCap: 0,
+          priceChange24h: 0,
+          liquidity: 0,
+          isHardcodedSupply: false,
+          source: 'Stub',
+          symbol
+        });
+      }
+    }
+  }
+
+  // Tokens unknown to the database are first mentions the first time they appear in the file
+  // Returns: Map of signature -> Set of first-mention mints in that swap
+  async findFirstMentions(swaps, db) {
+    const seen = new Set();
+    const firstMentions = new Map();
+
+    for (const swap of swaps) {
+      const mints = new Set();
+      for (const mint of [swap.inputToken.mint, swap.outputToken.mint]) {
+        if (seen.has(mint)) continue;
+        seen.add(mint);
+        if (!(await db.isTokenKnown(mint))) {
+          mints.add(mint);
+        }
+      }
+      firstMentions.set(swap.signature, mints);
+    }
+
+    return firstMentions;
+  }
+
+  async formatAlert(userId, swap, result, tokenDataCache) {
+    const isBuy = this.filterEngine.isBuyTransaction(swap);
+    const relevantToken = isBuy ? swap.outputToken : swap.inputToken;
+    const symbol = await this.filterEngine.getTokenSymbol(relevantToken, tokenDataCache);
+    const usdValue = await this.filterEngine.calculateSwapValueUSD(swap, tokenDataCache);
+    const time = swap.timestamp ? new Date(swap.timestamp).toISOString().replace('T', ' ').slice(0, 19) : 'no time';
+
+    const lines = [
+      `🔔 ${userId} · ${isBuy ? 'BUY' : 'SELL'} ${symbol} · ${this.i18n.formatUsd(this.locale, usdValue)}${result.isFirstMention ? ' · first mention' : ''}`,
+      `   ${time} · whale ${swap.feePayer} · tx ${swap.signature}`,
+      `   why: ${result.reasons.join(' · ')}`
+    ];
+    return lines.join('\n');
+  }
+
+  printSummary(source, swaps, evaluated, skipped, alertsPerUser) {
+    const rejected = this.swapSchema.rejectedCount + source.invalidLines;
+    const reasons = Array.from(this.swapSchema.rejections).map(([reason, count]) => `${reason} ×${count}`);
+    if (source.invalidLines > 0) {
+      reasons.push(`invalid_json ×${source.invalidLines}`);
+    }
+
+    let total = 0;
+    for (const count of alertsPerUser.values()) total += count;
+
+    console.log('\n📊 Summary');
+    console.log(`Swaps: ${swaps.length} valid, ${rejected} rejected${reasons.length ? ` (${reasons.join(', ')})` : ''}`);
+    console.log(`Users: ${evaluated} checked${skipped ? `, ${skipped} skipped (alerts off)` : ''}`);
+    console.log(`Alerts that would fire: ${total}`);
+    for (const [userId, count] of [...alertsPerUser].sort((a, b) => b[1] - a[1])) {
+      console.log(`  ${userId}: ${count}`);
+    }
+  }
+}
+
+module.exports = DryRun;
@@ -1,14 +1,46 @@
+const I18n = require('./i18n');
+
 class FilterEngine {
-  constructor() {
-    this.userProcessedSwaps = new Map(); // Track per-user to avoid duplicates to same user
+  constructor(i18n = new I18n()) {
+    this.i18n = i18n; // Message catalogs for alert text
     this.dexScreenerCache = new Map(); // Cache DexScreener API results
     this.CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+    this.MAX_LIST_ITEMS = 20; // Max entries per multi-value filter type
+    this.EXPORT_VERSION = 1;
+
+    // Processed filter keys <-> database filter types, used for export/import
+    this.LIST_FILTERS = {
+      tokens: 'token_whitelist',
+      blacklist: 'token_blacklist',
+      whale_blacklist: 'whale_blacklist',
+      whale_watchlist: 'whale_watchlist'
+    };
+    this.NUMBER_FILTERS = ['min_purchase', 'max_market_cap', 'min_market_cap', 'min_liquidity'];
+    this.BOOLEAN_FILTERS = ['monitor_all', 'first_mention_only', 'whale_watch_only'];
+    this.CHOICE_FILTERS = {
+      direction: ['buys', 'sells', 'both']
+    };
+
+    // Digest delivery modes and how often each one is sent
+    this.DIGEST_INTERVALS = {
+      digest_1h: 60 * 60 * 1000, // 1 hour
+      digest_4h: 4 * 60 * 60 * 1000, // 4 hours
+      digest_24h: 24 * 60 * 60 * 1000 // 24 hours
+    };
+
+    // Alert layouts and the placeholders a custom template may use
+    this.ALERT_TEMPLATES = ['detailed', 'compact', 'custom'];
+    this.TEMPLATE_PLACEHOLDERS = ['side', 'symbol', 'usd', 'mcap', 'whale', 'tx', 'time'];
+    this.MAX_TEMPLATE_LENGTH = 500;
+
+    // Whale labels are shown inside Markdown links, so formatting characters are not allowed
+    this.MAX_LABEL_LENGTH = 32;
   }
 
   // Main method called by bot - checks if user should be notified
   // Returns: { matches: boolean, isFirstMention: boolean }
-  async shouldNotify(userId, swap, userFilters, database, firstMentionTokens = null, tokenDataCache = null) {
-    const result = await this.matchesFilters(swap, this.processFilters(userFilters), database, firstMentionTokens, userId, tokenDataCache);
+  async shouldNotify(userId, swap, userFilters, database, firstMentionTokens = null, tokenDataCache = null, locale = 'en') {
+    const result = await this.matchesFilters(swap, this.processFilters(userFilters), database, firstMentionTokens, userId, tokenDataCache, locale);
     return result;
   }
 
@@ -18,11 +50,25 @@ class FilterEngine {
       tokens: [],
       blacklist: [],
       whale_blacklist: [],
+      whale_watchlist: [],
       min_purchase: null,
       max_market_cap: null,
+      min_market_cap: null,
+      min_liquidity: null,
+      price_change_range: null, // { min, max } in percent, either bound may be null
       monitor_all: true, // Default to monitoring all tokens
       notifications_enabled: false, // Default to OFF - user must explicitly turn ON
-      first_mention_only: false // Default to monitoring all tokens, not just first mentions
+      first_mention_only: false, // Default to monitoring all tokens, not just first mentions
+      whale_watch_only: false, // Default to alerting on every whale, not just watchlisted ones
+      direction: 'both', // 'buys', 'sells' or 'both'
+      quiet_hours: null, // { start, end, timezone } with start/end in minutes after midnight
+      quiet_mode: 'mute', // 'mute' = hold alerts back, 'silent' = deliver without sound
+      quiet_summary: true, // Send a summary of muted alerts when quiet hours end
+      delivery_mode: 'realtime', // 'realtime' or one of DIGEST_INTERVALS
+      token_cooldown: 0, // Minutes to fold repeat alerts for the same token (0 = off)
+      cooldown_followup: 'edit', // 'edit' = edit the first alert, 'message' = send one combined follow-up
+      alert_template: 'detailed', // One of ALERT_TEMPLATES
+      custom_template: null // Template text used by the 'custom' layout
     };
 
     // Handle case where dbFilters might not be an array
@@ -42,6 +88,9 @@ class FilterEngine {
         case 'whale_blacklist':
           filters.whale_blacklist.push(filter.filter_value);
           break;
+        case 'whale_watchlist':
+          filters.whale_watchlist.push(filter.filter_value);
+          break;
         case 'min_purchase':
           // Use the latest (last) min_purchase value only
           filters.min_purchase = parseFloat(filter.filter_value);
@@ -50,6 +99,15 @@ class FilterEngine {
           // Use the latest (last) max_market_cap value only  
           filters.max_market_cap = parseFloat(filter.filter_value);
           break;
+        case 'min_market_cap':
+          filters.min_market_cap = parseFloat(filter.filter_value);
+          break;
+        case 'min_liquidity':
+          filters.min_liquidity = parseFloat(filter.filter_value);
+          break;
+        case 'price_change_range':
+          filters.price_change_range = this.parsePriceChangeRange(filter.filter_value);
+          break;
         case 'monitor_all':
           filters.monitor_all = filter.filter_value === 'true';
           break;
@@ -59,12 +117,319 @@ class FilterEngine {
         case 'first_mention_only':
           filters.first_mention_only = filter.filter_value === 'true';
           break;
+        case 'whale_watch_only':
+          filters.whale_watch_only = filter.filter_value === 'true';
+          break;
+        case 'direction':
+          filters.direction = this.CHOICE_FILTERS.direction.includes(filter.filter_value) ? filter.filter_value : 'both';
+          break;
+        case 'quiet_hours':
+          filters.quiet_hours = this.parseQuietHours(filter.filter_value);
+          break;
+        case 'quiet_mode':
+          filters.quiet_mode = filter.filter_value === 'silent' ? 'silent' : 'mute';
+          break;
+        case 'quiet_summary':
+          filters.quiet_summary = filter.filter_value === 'true';
+          break;
+        case 'token_cooldown':
+          filters.token_cooldown = parseInt(filter.filter_value) || 0;
+          break;
+        case 'cooldown_followup':
+          filters.cooldown_followup = filter.filter_value === 'message' ? 'message' : 'edit';
+          break;
+        case 'delivery_mode':
+          filters.delivery_mode = this.DIGEST_INTERVALS[filter.filter_value] ? filter.filter_value : 'realtime';
+          break;
+        case 'alert_template':
+          filters.alert_template = this.ALERT_TEMPLATES.includes(filter.filter_value) ? filter.filter_value : 'detailed';
+          break;
+        case 'custom_template':
+          filters.custom_template = filter.filter_value;
+          break;
       }
     });
 
+    // The custom layout needs a saved template
+    if (filters.alert_template === 'custom' && !filters.custom_template) {
+      filters.alert_template = 'detailed';
+    }
+
     return filters;
   }
 
+  // Build a shareable JSON document from raw database filters
+  buildExport(dbFilters) {
+    const processed = this.processFilters(dbFilters);
+    const filters = {};
+
+    for (const key of Object.keys(this.LIST_FILTERS)) {
+      filters[key] = processed[key];
+    }
+    for (const key of this.NUMBER_FILTERS) {
+      filters[key] = processed[key];
+    }
+    for (const key of this.BOOLEAN_FILTERS) {
+      filters[key] = processed[key];
+    }
+    for (const key of Object.keys(this.CHOICE_FILTERS)) {
+      filters[key] = processed[key];
+    }
+    filters.price_change_range = processed.price_change_range;
+
+    return {
+      version: this.EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      filters
+    };
+  }
+
+  // Database filter types an export covers (an import replaces only these)
+  getExportedFilterTypes() {
+    return [
+      ...Object.values(this.LIST_FILTERS),
+      ...this.NUMBER_FILTERS,
+      ...this.BOOLEAN_FILTERS,
+      ...Object.keys(this.CHOICE_FILTERS),
+      'price_change_range'
+    ];
+  }
+
+  // Validate an exported JSON document and convert it back to database rows
+  // Returns: { valid: boolean, errors: [{ key, params }], rows: [{ filter_type, filter_value }] }
+  // (errors are message catalog keys, so the caller can show them in the chat's language)
+  parseImport(document) {
+    const errors = [];
+    const rows = [];
+
+    const filters = document?.filters;
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      return { valid: false, errors: [{ key: 'importError.missingFilters', params: {} }], rows };
+    }
+
+    if (document.version !== undefined && document.version !== this.EXPORT_VERSION) {
+      errors.push({ key: 'importError.version', params: { version: document.version } });
+    }
+
+    for (const [key, filterType] of Object.entries(this.LIST_FILTERS)) {
+      const values = filters[key];
+      if (values === undefined || values === null) continue;
+
+      if (!Array.isArray(values) || !values.every(v => typeof v === 'string' && v.trim().length > 0)) {
+        errors.push({ key: 'importError.list', params: { key } });
+        continue;
+      }
+      if (values.length > this.MAX_LIST_ITEMS) {
+        errors.push({ key: 'importError.listTooLong', params: { key, count: values.length, max: this.MAX_LIST_ITEMS } });
+        continue;
+      }
+
+      values.forEach(value => rows.push({ filter_type: filterType, filter_value: value.trim() }));
+    }
+
+    for (const key of this.NUMBER_FILTERS) {
+      const value = filters[key];
+      if (value === undefined || value === null) continue;
+
+      if (!Number.isInteger(value) || value <= 0) {
+        errors.push({ key: 'importError.number', params: { key } });
+        continue;
+      }
+
+      rows.push({ filter_type: key, filter_value: value.toString() });
+    }
+
+    for (const key of this.BOOLEAN_FILTERS) {
+      const value = filters[key];
+      if (value === undefined || value === null) continue;
+
+      if (typeof value !== 'boolean') {
+        errors.push({ key: 'importError.boolean', params: { key } });
+        continue;
+      }
+
+      rows.push({ filter_type: key, filter_value: value.toString() });
+    }
+
+    for (const [key, choices] of Object.entries(this.CHOICE_FILTERS)) {
+      const value = filters[key];
+      if (value === undefined || value === null) continue;
+
+      if (!choices.includes(value)) {
+        errors.push({ key: 'importError.choice', params: { key, choices: choices.join(', ') } });
+        continue;
+      }
+
+      rows.push({ filter_type: key, filter_value: value });
+    }
+
+    const range = filters.price_change_range;
+    if (range !== undefined && range !== null) {
+      const value = `${range.min ?? ''}:${range.max ?? ''}`;
+      if (typeof range !== 'object' || !this.parsePriceChangeRange(value)) {
+        errors.push({ key: 'importError.priceRange', params: {} });
+      } else {
+        rows.push({ filter_type: 'price_change_range', filter_value: value });
+      }
+    }
+
+    return { valid: errors.length === 0, errors, rows };
+  }
+
+  // Parse a stored 24h price change range "min:max" (either side may be empty, e.g. "-10:" or ":50")
+  // Returns: { min, max } or null if invalid
+  parsePriceChangeRange(value) {
+    const match = /^(-?\d+(?:\.\d+)?)?:(-?\d+(?:\.\d+)?)?$/.exec((value || '').trim());
+    if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+
+    const min = match[1] !== undefined ? parseFloat(match[1]) : null;
+    const max = match[2] !== undefined ? parseFloat(match[2]) : null;
+
+    if (min !== null && max !== null && min >= max) return null;
+
+    return { min, max };
+  }
+
+  // Parse "23:00-07:00 Europe/Berlin" (timezone optional, defaults to UTC)
+  // Returns: { start, end, timezone, label } or null if invalid
+  parseQuietHours(value) {
+    const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})(?:\s+(\S+))?$/.exec((value || '').trim());
+    if (!match) return null;
+
+    const [, startH, startM, endH, endM, timezone = 'UTC'] = match;
+    const start = parseInt(startH) * 60 + parseInt(startM);
+    const end = parseInt(endH) * 60 + parseInt(endM);
+
+    if (parseInt(startH) > 23 || parseInt(endH) > 23 || parseInt(startM) > 59 || parseInt(endM) > 59 || start === end) {
+      return null;
+    }
+
+    if (!this.isValidTimezone(timezone)) return null;
+
+    const pad = (n) => String(n).padStart(2, '0');
+    const label = `${pad(startH)}:${startM}-${pad(endH)}:${endM} ${timezone}`;
+
+    return { start, end, timezone, label };
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Check if a date falls inside the quiet hours window (windows may wrap past midnight)
+  isQuietTime(quietHours, date = new Date()) {
+    if (!quietHours) return false;
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: quietHours.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const hour = parseInt(parts.find(p => p.type === 'hour').value);
+    const minute = parseInt(parts.find(p => p.type === 'minute').value);
+    const now = hour * 60 + minute;
+
+    if (quietHours.start < quietHours.end) {
+      return now >= quietHours.start && now < quietHours.end;
+    }
+    return now >= quietHours.start || now < quietHours.end;
+  }
+
+  // Format the summary of alerts muted during quiet hours
+  // summary: { count, buys, sells, totalUSD, tokens: Map<symbol, count> }
+  formatQuietSummary(summary, locale = 'en') {
+    const topTokens = Array.from(summary.tokens.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([symbol, count]) => this.i18n.t(locale, 'quietSummary.token', { symbol: this.escapeMarkdown(symbol), count }));
+
+    return this.i18n.t(locale, 'quietSummary.text', {
+      intro: this.i18n.t(locale, 'quietSummary.intro', { count: summary.count }),
+      buys: summary.buys,
+      sells: summary.sells,
+      total: this.i18n.formatUsd(locale, summary.totalUSD),
+      tokens: topTokens.join('\n')
+    });
+  }
+
+  // Format a digest of queued swaps, grouped by token
+  // items: digest_queue rows { token_mint, token_symbol, is_buy, usd_value, whale }
+  formatDigest(items, deliveryMode, locale = 'en', whaleLabels = null) {
+    const tokens = new Map();
+
+    for (const item of items) {
+      if (!tokens.has(item.token_mint)) {
+        tokens.set(item.token_mint, {
+          symbol: item.token_symbol || 'Unknown',
+          mint: item.token_mint,
+          buyUSD: 0,
+          sellUSD: 0,
+          buys: 0,
+          sells: 0,
+          whales: new Set(),
+          biggest: null
+        });
+      }
+
+      const token = tokens.get(item.token_mint);
+      const usdValue = Number(item.usd_value) || 0;
+
+      if (item.is_buy) {
+        token.buys++;
+        token.buyUSD += usdValue;
+      } else {
+        token.sells++;
+        token.sellUSD += usdValue;
+      }
+      token.whales.add(item.whale);
+
+      if (!token.biggest || usdValue > token.biggest.usdValue) {
+        token.biggest = { usdValue, isBuy: item.is_buy, whale: item.whale };
+      }
+    }
+
+    // Most active tokens first, capped to stay within Telegram's message size limit
+    const sorted = Array.from(tokens.values())
+      .sort((a, b) => (b.buyUSD + b.sellUSD) - (a.buyUSD + a.sellUSD));
+    const shown = sorted.slice(0, 15);
+
+    const sections = shown.map(token => {
+      const biggest = token.biggest;
+      return this.i18n.t(locale, 'digest.token', {
+        symbol: this.escapeMarkdown(token.symbol),
+        tokenUrl: `https://dexscreener.com/solana/${token.mint}`,
+        buys: token.buys,
+        buyValue: this.i18n.formatUsd(locale, token.buyUSD),
+        sells: token.sells,
+        sellValue: this.i18n.formatUsd(locale, token.sellUSD),
+        whales: token.whales.size,
+        side: biggest.isBuy ? '🟢' : '🔴',
+        value: this.i18n.formatUsd(locale, biggest.usdValue),
+        whale: this.getWhaleLabel(biggest.whale, whaleLabels) || `${biggest.whale?.slice(0, 8)}...`,
+        whaleUrl: `https://solscan.io/account/${biggest.whale}`
+      });
+    });
+
+    const more = sorted.length > shown.length ? this.i18n.t(locale, 'digest.more', { count: sorted.length - shown.length }) : '';
+
+    const period = this.i18n.t(locale, this.DIGEST_INTERVALS[deliveryMode] ? `digest.period.${deliveryMode}` : 'digest.period.default');
+
+    return this.i18n.t(locale, 'digest.text', {
+      period,
+      swaps: items.length,
+      tokens: tokens.size,
+      sections: sections.join('\n\n'),
+      more,
+      trade: this.i18n.t(locale, 'common.tradeOnPepo')
+    });
+  }
+
   // Get token symbol with fallback for known tokens and API lookup
   async getTokenSymbol(token, tokenDataCache = null) {
     // First try metadata symbol
@@ -131,62 +496,230 @@ class FilterEngine {
   }
 
   // Format notification message
-  async formatNotification(swap, isFirstMention = false, tokenDataCache = null) {
+  // reasons: why the alert fired (from matchesFilters), shown at the bottom of the alert
+  // Layouts: 'detailed' (full card), 'compact' (one line) or 'custom' (user template,
+  // falls back to detailed when no template is saved)
+  async formatNotification(swap, isFirstMention = false, tokenDataCache = null, reasons = [], locale = 'en', template = 'detailed', customTemplate = null, whaleLabels = null) {
     const isBuy = this.isBuyTransaction(swap);
     const relevantToken = isBuy ? swap.outputToken : swap.inputToken;
     const symbol = await this.getTokenSymbol(relevantToken, tokenDataCache);
     const amount = relevantToken?.amount;
     const usdValue = await this.calculateSwapValueUSD(swap, tokenDataCache);
-    const whale = swap.feePayer?.slice(0, 8) + '...';
+    const whale = this.getWhaleLabel(swap.feePayer, whaleLabels) || swap.feePayer?.slice(0, 8) + '...';
     const txHash = swap.signature?.slice(0, 8) + '...';
     const tokenCA = relevantToken?.mint;
 
     // Get market cap data using cached calculation
     const tokenData = tokenDataCache && tokenCA ? tokenDataCache.get(tokenCA) : await this.getTokenData(tokenCA, symbol);
-    const marketCap = tokenData.marketCap;
-    let marketCapFormatted = 'Unknown';
-    if (marketCap > 0) {
-      if (marketCap >= 1000000000) {
-        marketCapFormatted = `$${(marketCap / 1000000000).toFixed(1)}B`;
-      } else if (marketCap >= 1000000) {
-        marketCapFormatted = `$${(marketCap / 1000000).toFixed(1)}M`;
-      } else {
-        marketCapFormatted = `$${Math.round(marketCap / 1000)}K`;
-      }
+    const marketCapFormatted = this.formatMarketCap(tokenData.marketCap, locale);
+
+    const side = this.i18n.t(locale, isBuy ? 'alert.buy' : 'alert.sell');
+    const value = this.i18n.formatUsd(locale, usdValue);
+    const txUrl = `https://solscan.io/tx/${swap.signature}`;
+
+    if (template === 'custom' && customTemplate) {
+      return this.renderTemplate(customTemplate, {
+        side,
+        symbol: this.escapeMarkdown(symbol),
+        usd: value,
+        mcap: marketCapFormatted,
+        whale,
+        tx: txUrl,
+        time: this.i18n.formatTime(locale, this.getSwapDate(swap))
+      });
     }
 
-    const firstMentionTag = isFirstMention ? '🆕 NEW MENTION ' : '';
+    if (template === 'compact') {
+      return this.i18n.t(locale, 'alert.compact', {
+        tag: isFirstMention ? this.i18n.t(locale, 'alert.newMention') : '',
+        side,
+        symbol,
+        tokenUrl: `https://dexscreener.com/solana/${tokenCA}`,
+        value,
+        marketCap: marketCapFormatted,
+        whale,
+        whaleUrl: `https://solscan.io/account/${swap.feePayer}`,
+        txUrl
+      });
+    }
 
-    return `${firstMentionTag}${isBuy ? '🟢 BUY' : '🔴 SELL'} Alert!
+    return this.i18n.t(locale, 'alert.text', {
+      tag: isFirstMention ? this.i18n.t(locale, 'alert.newMention') : '',
+      side,
+      whale,
+      whaleUrl: `https://solscan.io/account/${swap.feePayer}`,
+      symbol,
+      tokenUrl: `https://dexscreener.com/solana/${tokenCA}`,
+      firstSeen: isFirstMention ? this.i18n.t(locale, 'alert.firstSeen') : '',
+      mint: tokenCA,
+      amount: amount !== undefined && amount !== null ? this.i18n.formatNumber(locale, amount) : this.i18n.t(locale, 'common.unknown'),
+      value,
+      marketCap: marketCapFormatted,
+      txUrl,
+      trade: this.i18n.t(locale, 'common.tradeOnPepo'),
+      why: reasons.length > 0 ? this.i18n.t(locale, 'alert.why', { reasons: this.escapeMarkdown(reasons.join(' · ')) }) : ''
+    });
+  }
 
-🐋 Whale: [${whale}](https://solscan.io/account/${swap.feePayer})
-💰 Token: [${symbol}](https://dexscreener.com/solana/${tokenCA})${isFirstMention ? ' 🆕 FIRST TIME SEEN' : ''}
-📋 CA: \`${tokenCA}\`
-📊 Amount: ${amount?.toLocaleString() || 'Unknown'}
-💵 Value: $${Math.round(usdValue || 0).toLocaleString()}
-🏦 Market Cap: ${marketCapFormatted}
-🔗 [View Transaction](https://solscan.io/tx/${swap.signature})
-💹 [Trade on Pepo](https://app.pepo.fun/whaleooor)
+  // Render an alert layout against a sample swap (uses no API calls)
+  async formatTemplatePreview(template, customTemplate, locale = 'en') {
+    const solMint = 'So11111111111111111111111111111111111111112';
+    const bonkMint = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+    const swap = {
+      signature: '5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW',
+      feePayer: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM',
+      timestamp: Math.floor(Date.now() / 1000),
+      inputToken: { mint: solMint, amount: 25, metadata: { symbol: 'SOL' } },
+      outputToken: { mint: bonkMint, amount: 150000000, metadata: { symbol: 'BONK' } }
+    };
+    const tokenDataCache = new Map([
+      [solMint, { price: 150, marketCap: 0, symbol: 'SOL' }],
+      [bonkMint, { price: 0.000025, marketCap: 1850000000, symbol: 'BONK' }]
+    ]);
 
-#WhaleAlert #${symbol}`;
+    return this.formatNotification(swap, false, tokenDataCache, [this.i18n.t(locale, 'reason.allTokens')], locale, template, customTemplate);
   }
 
-  // Check if a swap matches user's filters
-  // Returns: { matches: boolean, isFirstMention: boolean }
-  async matchesFilters(swap, userFilters, database = null, firstMentionTokens = null, userId = null, tokenDataCache = null) {
-    // Check if notifications are enabled first
-    if (!userFilters.notifications_enabled) {
-      return { matches: false, isFirstMention: false };
+  // Check a custom alert template before it is saved
+  // Returns: { valid, error, unknown } with error one of 'empty', 'too_long', 'unknown_placeholder', 'no_placeholder'
+  validateTemplate(template) {
+    const text = (template || '').trim();
+    if (!text) {
+      return { valid: false, error: 'empty', unknown: [] };
+    }
+    if (text.length > this.MAX_TEMPLATE_LENGTH) {
+      return { valid: false, error: 'too_long', unknown: [] };
     }
 
-    // Prevent same user from getting duplicate notifications for same swap
-    const swapId = swap.signature || `${swap.timestamp}-${swap.feePayer}`;
+    const used = Array.from(text.matchAll(/\{(\w+)\}/g), match => match[1]);
+    const unknown = [...new Set(used.filter(name => !this.TEMPLATE_PLACEHOLDERS.includes(name)))];
+    if (unknown.length > 0) {
+      return { valid: false, error: 'unknown_placeholder', unknown };
+    }
+    if (used.length === 0) {
+      return { valid: false, error: 'no_placeholder', unknown };
+    }
+
+    return { valid: true, error: null, unknown };
+  }
+
+  // Fill a custom template. Literal text is escaped so a template can't break the Markdown alert.
+  renderTemplate(template, values) {
+    return template.split(/(\{\w+\})/).map(part => {
+      const name = /^\{(\w+)\}$/.exec(part)?.[1];
+      return name && values[name] !== undefined ? values[name] : this.escapeMarkdown(part);
+    }).join('');
+  }
+
+  // Swap time from the API timestamp (seconds or milliseconds), now if missing
+  getSwapDate(swap) {
+    const timestamp = Number(swap.timestamp);
+    if (!timestamp) return new Date();
+    return new Date(timestamp < 1e12 ? timestamp * 1000 : timestamp);
+  }
 
-    if (!this.userProcessedSwaps.has(userId)) {
-      this.userProcessedSwaps.set(userId, new Set());
+  // Label for a whale address from a Map of address -> label, or null
+  getWhaleLabel(address, whaleLabels) {
+    return (address && whaleLabels?.get(address)) || null;
+  }
+
+  // Labels: 1-32 characters without Markdown formatting characters
+  isValidWhaleLabel(label) {
+    return label.length > 0 && label.length <= this.MAX_LABEL_LENGTH && !/[_*`\[\]()]/.test(label);
+  }
+
+  // Escape user/API provided text for Telegram legacy Markdown
+  escapeMarkdown(text) {
+    return String(text ?? '').replace(/([_*`\[])/g, '\\$1');
+  }
+
+  // Format USD amounts as $1.2B / $3.4M / $560K / $950
+  formatUsdCompact(value, locale = 'en') {
+    if (value >= 1000000000) {
+      return this.i18n.formatUsdUnit(locale, value / 1000000000, 'B', 1);
+    } else if (value >= 1000000) {
+      return this.i18n.formatUsdUnit(locale, value / 1000000, 'M', 1);
+    } else if (value >= 1000) {
+      return this.i18n.formatUsdUnit(locale, Math.round(value / 1000), 'K');
     }
+    return this.i18n.formatUsd(locale, value);
+  }
+
+  // Format market cap as $1.2B / $3.4M / $560K
+  formatMarketCap(marketCap, locale = 'en') {
+    if (!marketCap || marketCap <= 0) {
+      return this.i18n.t(locale, 'common.unknown');
+    }
+    if (marketCap >= 1000000000) {
+      return this.i18n.formatUsdUnit(locale, marketCap / 1000000000, 'B', 1);
+    } else if (marketCap >= 1000000) {
+      return this.i18n.formatUsdUnit(locale, marketCap / 1000000, 'M', 1);
+    }
+    return this.i18n.formatUsdUnit(locale, Math.round(marketCap / 1000), 'K');
+  }
+
+  // Format the follow-up for alerts folded during a token cooldown
+  // e.g. "➕ +4 more whale buys of BONK totalling $120K"
+  formatCooldownFollowUp(symbol, buys, sells, totalUSD, locale = 'en') {
+    const count = buys + sells;
+    let what;
+    if (sells === 0) {
+      what = this.i18n.t(locale, 'followUp.buy', { count });
+    } else if (buys === 0) {
+      what = this.i18n.t(locale, 'followUp.sell', { count });
+    } else {
+      what = this.i18n.t(locale, 'followUp.mixed', {
+        buys: `${buys} ${this.i18n.t(locale, 'followUp.buy', { count: buys })}`,
+        sells: `${sells} ${this.i18n.t(locale, 'followUp.sell', { count: sells })}`
+      });
+    }
+
+    return this.i18n.t(locale, 'followUp.text', {
+      count,
+      what,
+      symbol: this.escapeMarkdown(symbol),
+      total: this.formatUsdCompact(totalUSD, locale)
+    });
+  }
+
+  // Format a token's recent whale activity (used for inline query results)
+  // recentSwaps: [{ isBuy, usdValue, whale, signature, seenAt }] newest first
+  formatTokenActivity(symbol, mint, recentSwaps, tokenData, locale = 'en', whaleLabels = null) {
+    const buys = recentSwaps.filter(s => s.isBuy);
+    const sells = recentSwaps.filter(s => !s.isBuy);
+    const buyUSD = buys.reduce((sum, s) => sum + (s.usdValue || 0), 0);
+    const sellUSD = sells.reduce((sum, s) => sum + (s.usdValue || 0), 0);
+
+    const lastSwaps = recentSwaps.slice(0, 5).map(s => {
+      const minutesAgo = Math.max(0, Math.round((Date.now() - s.seenAt) / 60000));
+      return this.i18n.t(locale, 'activity.swap', {
+        side: s.isBuy ? '🟢' : '🔴',
+        value: this.i18n.formatUsd(locale, s.usdValue),
+        whale: this.getWhaleLabel(s.whale, whaleLabels) || `${s.whale?.slice(0, 8)}...`,
+        whaleUrl: `https://solscan.io/account/${s.whale}`,
+        minutes: minutesAgo
+      });
+    });
+
+    return this.i18n.t(locale, 'activity.text', {
+      symbol: this.escapeMarkdown(symbol),
+      tokenUrl: `https://dexscreener.com/solana/${mint}`,
+      mint,
+      marketCap: this.formatMarketCap(tokenData?.marketCap, locale),
+      buys: buys.length,
+      buyValue: this.i18n.formatUsd(locale, buyUSD),
+      sells: sells.length,
+      sellValue: this.i18n.formatUsd(locale, sellUSD),
+      lastSwaps: lastSwaps.join('\n'),
+      trade: this.i18n.t(locale, 'common.tradeOnPepo')
+    });
+  }
 
-    if (this.userProcessedSwaps.get(userId).has(swapId)) {
+  // Check if a swap matches user's filters
+  // Returns: { matches: boolean, isFirstMention: boolean }
+  async matchesFilters(swap, userFilters, database = null, firstMentionTokens = null, userId = null, tokenDataCache = null, locale = 'en') {
+    // Check if notifications are enabled first
+    if (!userFilters.notifications_enabled) {
       return { matches: false, isFirstMention: false };
     }
 
@@ -196,8 +729,8 @@ class FilterEngine {
     
     // Filter out SOL<->stablecoin swaps (these are just conversions, not token trades)
     const stablecoins = ['USDC', 'USDT', 'BUSD', 'USD1', 'DAI', 'FRAX'];
-    const inputSymbol = this.getTokenSymbol(inputToken);
-    const outputSymbol = this.getTokenSymbol(outputToken);
+    const inputSymbol = await this.getTokenSymbol(inputToken, tokenDataCache);
+    const outputSymbol = await this.getTokenSymbol(outputToken, tokenDataCache);
 
     if ((inputSymbol === 'SOL' && stablecoins.includes(outputSymbol)) ||
         (outputSymbol === 'SOL' && stablecoins.includes(inputSymbol))) {
@@ -253,14 +786,12 @@ class FilterEngine {
     // Trust the /api/swaps endpoint filtering and focus only on user preferences
 
     // Apply filters based on monitor mode
-    let tokenCheck = true;
-    
-    if (userFilters.monitor_all) {
-      // All Tokens mode: check blacklist to exclude tokens
-      tokenCheck = this.checkBlacklist(relevantToken, userFilters.blacklist);
-    } else {
+    // Token blacklist - applies to all modes, so a token muted from an alert stays muted
+    let tokenCheck = await this.checkBlacklist(relevantToken, userFilters.blacklist, tokenDataCache);
+
+    if (!userFilters.monitor_all) {
       // Token Filter mode: check whitelist to include only specific tokens
-      tokenCheck = this.checkTokenWhitelist(relevantToken, userFilters.tokens);
+      tokenCheck = tokenCheck && await this.checkTokenWhitelist(relevantToken, userFilters.tokens, tokenDataCache);
     }
     
     // Check hardcoded whale blacklist first
@@ -272,8 +803,13 @@ class FilterEngine {
       return { matches: false, isFirstMention: false }; // Skip blacklisted whales
     }
 
-    // Check whale blacklist - applies to both modes
-    const whaleCheck = this.checkWhaleBlacklist(swap.feePayer, userFilters.whale_blacklist);
+    // Check whale blacklist - applies to all modes
+    let whaleCheck = this.checkWhaleBlacklist(swap.feePayer, userFilters.whale_blacklist);
+
+    // Whale Watch mode: only alert on swaps made by watchlisted whales
+    if (userFilters.whale_watch_only) {
+      whaleCheck = whaleCheck && this.checkWhaleWatchlist(swap.feePayer, userFilters.whale_watchlist);
+    }
     
     // Perform async market cap check if needed
     let marketCapCheck = true;
@@ -281,30 +817,85 @@ class FilterEngine {
       marketCapCheck = await this.checkMarketCap(relevantToken, userFilters.max_market_cap, tokenDataCache);
     }
 
+    // Token data checks only run when the filter is set (unknown data blocks the token)
+    let minMarketCapCheck = true;
+    if (userFilters.min_market_cap && userFilters.min_market_cap > 0) {
+      minMarketCapCheck = await this.checkMinMarketCap(relevantToken, userFilters.min_market_cap, tokenDataCache);
+    }
+
+    let liquidityCheck = true;
+    if (userFilters.min_liquidity && userFilters.min_liquidity > 0) {
+      liquidityCheck = await this.checkLiquidity(relevantToken, userFilters.min_liquidity, tokenDataCache);
+    }
+
+    let priceChangeCheck = true;
+    if (userFilters.price_change_range) {
+      priceChangeCheck = await this.checkPriceChange(relevantToken, userFilters.price_change_range, tokenDataCache);
+    }
+
     const checks = [
       tokenCheck,
       whaleCheck,
+      this.checkDirection(isBuy, userFilters.direction),
       this.checkMinimumPurchase(swapAmountUSD, userFilters.min_purchase),
-      marketCapCheck
+      marketCapCheck,
+      minMarketCapCheck,
+      liquidityCheck,
+      priceChangeCheck
     ];
 
     // All checks must pass
     const matches = checks.every(check => check === true);
 
     if (matches) {
-      // Mark this swap as processed for this specific user only
-      this.userProcessedSwaps.get(userId).add(swapId);
-
-      // Clean up old processed swaps for this user (keep only last 100 per user)
-      if (this.userProcessedSwaps.get(userId).size > 100) {
-        const oldSwaps = Array.from(this.userProcessedSwaps.get(userId)).slice(0, 50);
-        oldSwaps.forEach(id => this.userProcessedSwaps.get(userId).delete(id));
-      }
+      return { matches, isFirstMention, reasons: this.explainMatch(userFilters, isBuy, isFirstMention, locale) };
     }
 
     return { matches, isFirstMention };
   }
 
+  // Human-readable list of the filters a matching swap passed
+  explainMatch(userFilters, isBuy, isFirstMention, locale = 'en') {
+    const t = (key, params) => this.i18n.t(locale, key, params);
+    const reasons = [];
+
+    if (userFilters.first_mention_only && isFirstMention) {
+      reasons.push(t('reason.firstMention'));
+    } else if (!userFilters.monitor_all) {
+      reasons.push(t('reason.whitelisted'));
+    } else if (userFilters.whale_watch_only) {
+      reasons.push(t('reason.watchedWhale'));
+    } else {
+      reasons.push(t('reason.allTokens'));
+    }
+
+    if (userFilters.direction === 'buys') {
+      reasons.push(t('reason.buysOnly'));
+    } else if (userFilters.direction === 'sells') {
+      reasons.push(t('reason.sellsOnly'));
+    } else {
+      reasons.push(t(isBuy ? 'reason.buyBoth' : 'reason.sellBoth'));
+    }
+
+    if (userFilters.min_purchase > 0) {
+      reasons.push(t('reason.minPurchase', { value: this.i18n.formatUsd(locale, userFilters.min_purchase) }));
+    }
+    if (userFilters.min_market_cap > 0) {
+      reasons.push(t('reason.minMarketCap', { value: this.formatMarketCap(userFilters.min_market_cap, locale) }));
+    }
+    if (userFilters.max_market_cap > 0) {
+      reasons.push(t('reason.maxMarketCap', { value: this.formatMarketCap(userFilters.max_market_cap, locale) }));
+    }
+    if (userFilters.min_liquidity > 0) {
+      reasons.push(t('reason.minLiquidity', { value: this.formatUsdCompact(userFilters.min_liquidity, locale) }));
+    }
+    if (userFilters.price_change_range) {
+      reasons.push(t('reason.priceChange', { range: this.formatPriceChangeRange(userFilters.price_change_range, locale) }));
+    }
+
+    return reasons;
+  }
+
   // Check if transaction is a buy (receiving non-stablecoin token)
   isBuyTransaction(swap) {
     const stablecoins = ['USDC', 'USDT', 'BUSD', 'USD1'];
@@ -372,11 +963,12 @@ class FilterEngine {
   }
 
   // Token whitelist check - for Token Filter mode
-  checkTokenWhitelist(token, allowedTokens) {
+  // Entries are pinned mints (or symbols saved before token resolution existed)
+  async checkTokenWhitelist(token, allowedTokens, tokenDataCache = null) {
     // If no whitelist specified, block everything in Token Filter mode
     if (!allowedTokens || allowedTokens.length === 0) return false;
     
-    const tokenSymbol = this.getTokenSymbol(token).toLowerCase();
+    const tokenSymbol = (await this.getTokenSymbol(token, tokenDataCache)).toLowerCase();
     const tokenMint = token.mint?.toLowerCase();
     
     return allowedTokens.some(allowed => 
@@ -386,10 +978,10 @@ class FilterEngine {
   }
 
   // Blacklist check
-  checkBlacklist(token, blacklistedTokens) {
+  async checkBlacklist(token, blacklistedTokens, tokenDataCache = null) {
     if (!blacklistedTokens || blacklistedTokens.length === 0) return true; // No blacklist = allow all
     
-    const tokenSymbol = this.getTokenSymbol(token).toLowerCase();
+    const tokenSymbol = (await this.getTokenSymbol(token, tokenDataCache)).toLowerCase();
     const tokenMint = token.mint?.toLowerCase();
     
     return !blacklistedTokens.some(blocked => 
@@ -407,6 +999,22 @@ class FilterEngine {
     );
   }
 
+  // Whale watchlist check - for Whale Watch mode
+  checkWhaleWatchlist(whaleAddress, watchedWhales) {
+    // If no watchlist specified, block everything in Whale Watch mode
+    if (!watchedWhales || watchedWhales.length === 0) return false;
+
+    return watchedWhales.some(watched =>
+      watched.toLowerCase() === whaleAddress?.toLowerCase()
+    );
+  }
+
+  // Direction check - buys, sells or both
+  checkDirection(isBuy, direction) {
+    if (!direction || direction === 'both') return true;
+    return direction === 'buys' ? isBuy : !isBuy;
+  }
+
   // Minimum purchase amount check
   checkMinimumPurchase(swapValueUSD, minPurchase) {
     if (!minPurchase || minPurchase <= 0) return true; // No minimum = allow all
@@ -418,7 +1026,7 @@ class FilterEngine {
     if (!maxMarketCap || maxMarketCap <= 0) return true; // No filter = allow all (including unknown market cap)
 
     try {
-      const tokenSymbol = this.getTokenSymbol(token);
+      const tokenSymbol = await this.getTokenSymbol(token, tokenDataCache);
       const tokenData = tokenDataCache?.get(token.mint) || await this.getTokenData(token.mint, tokenSymbol);
 
       // CRITICAL FIX: For hardcoded supply tokens, always trust our calculated market cap
@@ -446,6 +1054,66 @@ class FilterEngine {
     }
   }
 
+  // Token data for a swap's token, from the cycle cache when available
+  async getSwapTokenData(token, tokenDataCache = null) {
+    return tokenDataCache?.get(token.mint) || await this.getTokenData(token.mint, await this.getTokenSymbol(token, tokenDataCache));
+  }
+
+  // Minimum market cap filter - unknown market cap is blocked when the filter is active
+  async checkMinMarketCap(token, minMarketCap, tokenDataCache = null) {
+    if (!minMarketCap || minMarketCap <= 0) return true; // No filter = allow all
+
+    try {
+      const tokenData = await this.getSwapTokenData(token, tokenDataCache);
+      return tokenData.marketCap > 0 && tokenData.marketCap >= minMarketCap;
+    } catch (error) {
+      console.error(`Min market cap check error for ${token.mint}:`, error);
+      return false;
+    }
+  }
+
+  // Minimum liquidity filter (DexScreener pool liquidity in USD)
+  async checkLiquidity(token, minLiquidity, tokenDataCache = null) {
+    if (!minLiquidity || minLiquidity <= 0) return true; // No filter = allow all
+
+    try {
+      const tokenData = await this.getSwapTokenData(token, tokenDataCache);
+      return (tokenData.liquidity || 0) >= minLiquidity;
+    } catch (error) {
+      console.error(`Liquidity check error for ${token.mint}:`, error);
+      return false;
+    }
+  }
+
+  // 24h price change range filter - inclusive, either bound may be open.
+  // Like the other token data filters, tokens without price data are blocked
+  async checkPriceChange(token, range, tokenDataCache = null) {
+    if (!range) return true; // No filter = allow all
+
+    try {
+      const tokenData = await this.getSwapTokenData(token, tokenDataCache);
+      const change = tokenData.priceChange24h;
+      if (!(tokenData.price > 0) || !Number.isFinite(change)) return false;
+
+      if (range.min !== null && change < range.min) return false;
+      if (range.max !== null && change > range.max) return false;
+      return true;
+    } catch (error) {
+      console.error(`Price change check error for ${token.mint}:`, error);
+      return false;
+    }
+  }
+
+  // Format a price change range as "-10% to 50%", "≥ -10%" or "≤ 50%"
+  formatPriceChangeRange(range, locale = 'en') {
+    const min = range.min !== null ? this.i18n.formatNumber(locale, range.min) : null;
+    const max = range.max !== null ? this.i18n.formatNumber(locale, range.max) : null;
+
+    if (min !== null && max !== null) return this.i18n.t(locale, 'range.between', { min, max });
+    if (min !== null) return this.i18n.t(locale, 'range.min', { min });
+    return this.i18n.t(locale, 'range.max', { max });
+  }
+
   // Format swap for notification
   formatSwapNotification(swap) {
     const isBuy = this.isBuyTransaction(swap);
@@ -556,7 +1224,7 @@ class FilterEngine {
 
       clearTimeout(timeoutId);
 
-      const defaultResponse = { price: 0, marketCap: 0, priceChange24h: 0, symbol: null };
+      const defaultResponse = { price: 0, marketCap: 0, priceChange24h: 0, liquidity: 0, symbol: null };
 
       if (!response.ok) {
         // Cache failed result to prevent repeated requests
@@ -572,6 +1240,7 @@ class FilterEngine {
           price: parseFloat(pair.priceUsd) || 0,
           marketCap: pair.fdv || pair.marketCap || 0,
           priceChange24h: parseFloat(pair.priceChange?.h24) || 0,
+          liquidity: parseFloat(pair.liquidity?.usd) || 0,
           symbol: pair.baseToken?.symbol || null
         };
 
@@ -584,13 +1253,96 @@ class FilterEngine {
       this.dexScreenerCache.set(mint, { data: defaultResponse, timestamp: Date.now() });
       return defaultResponse;
     } catch (error) {
-      const defaultResponse = { price: 0, marketCap: 0, priceChange24h: 0, symbol: null };
+      const defaultResponse = { price: 0, marketCap: 0, priceChange24h: 0, liquidity: 0, symbol: null };
       // Cache error result
       this.dexScreenerCache.set(mint, { data: defaultResponse, timestamp: Date.now() });
       return defaultResponse;
     }
   }
 
+  // Solana mints are base58-encoded 32-byte public keys
+  isValidMint(value) {
+    return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value);
+  }
+
+  // Symbol of a mint if DexScreener data for it is cached (used for display only)
+  getCachedSymbol(mint) {
+    return this.dexScreenerCache.get(mint)?.data.symbol || null;
+  }
+
+  // Resolve user input (mint address or symbol) to Solana tokens
+  // Returns: [{ mint, symbol, name, marketCap, liquidity }] sorted by market cap, best first
+  async resolveToken(query, limit = 5) {
+    const input = query.trim();
+    if (!input) return [];
+
+    if (this.isValidMint(input)) {
+      const dexData = await this.getDexScreenerData(input);
+      const symbol = await this.getTokenSymbol({ mint: input });
+      if (symbol === 'Unknown' && !dexData.price) return [];
+
+      return [{
+        mint: input,
+        symbol,
+        name: null,
+        marketCap: dexData.marketCap || 0,
+        liquidity: dexData.liquidity || 0
+      }];
+    }
+
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+      const response = await fetch(`https://api.dexscreener.com/latest/dex/search?q=${encodeURIComponent(input)}`, {
+        signal: controller.signal
+      });
+
+      clearTimeout(timeoutId);
+
+      if (!response.ok) return [];
+
+      const data = await response.json();
+      const symbol = input.replace(/^\$/, '').toLowerCase();
+      const tokens = new Map();
+
+      // One entry per mint, keeping its most liquid pair (search returns pairs, not tokens)
+      for (const pair of data.pairs || []) {
+        if (pair.chainId !== 'solana' || pair.baseToken?.symbol?.toLowerCase() !== symbol) continue;
+
+        const mint = pair.baseToken.address;
+        const liquidity = parseFloat(pair.liquidity?.usd) || 0;
+        if (tokens.has(mint) && tokens.get(mint).liquidity >= liquidity) continue;
+
+        tokens.set(mint, {
+          mint,
+          symbol: pair.baseToken.symbol,
+          name: pair.baseToken.name || null,
+          marketCap: pair.fdv || pair.marketCap || 0,
+          liquidity
+        });
+
+        // Same shape as getDexScreenerData, so pinned mints show their symbol later
+        this.dexScreenerCache.set(mint, {
+          data: {
+            price: parseFloat(pair.priceUsd) || 0,
+            marketCap: pair.fdv || pair.marketCap || 0,
+            priceChange24h: parseFloat(pair.priceChange?.h24) || 0,
+            liquidity,
+            symbol: pair.baseToken.symbol
+          },
+          timestamp: Date.now()
+        });
+      }
+
+      return [...tokens.values()]
+        .sort((a, b) => b.marketCap - a.marketCap)
+        .slice(0, limit);
+    } catch (error) {
+      return [];
+    }
+  }
+
   async getTokenSupply(mint, symbol) {
     // Known token supplies for accurate market cap calculation - synced with token-flows
     const knownSupplies = {
@@ -639,6 +1391,7 @@ class FilterEngine {
         price: bestPrice,
         marketCap: calculatedMarketCap, // Always use our hardcoded calculation
         priceChange24h: bestPriceChange,
+        liquidity: dexData.liquidity || 0,
         isHardcodedSupply: true,
         source: jupiterData.price > 0 ? 'Jupiter+Hardcoded' : 'DexScreener+Hardcoded'
       };
@@ -649,6 +1402,7 @@ class FilterEngine {
       price: bestPrice,
       marketCap: dexData.marketCap || 0, // DexScreener provides market cap
       priceChange24h: bestPriceChange,
+      liquidity: dexData.liquidity || 0, // DexScreener provides liquidity
       isHardcodedSupply: false,
       source: jupiterData.price > 0 ? 'Jupiter+DexScreener' : 'DexScreener'
     };
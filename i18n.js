@@ -0,0 +1,80 @@
+const en = require('./locales/en');
+const es = require('./locales/es');
+
+// Message catalogs and locale-aware number/currency formatting
+// Catalog messages use {param} placeholders; plural forms are separate keys with _one/_other suffixes
+class I18n {
+  constructor(defaultLocale = 'en') {
+    this.catalogs = { en, es };
+    this.defaultLocale = defaultLocale;
+  }
+
+  get locales() {
+    return Object.keys(this.catalogs);
+  }
+
+  isSupported(locale) {
+    return Object.prototype.hasOwnProperty.call(this.catalogs, locale);
+  }
+
+  // Map a Telegram language_code (e.g. "es", "pt-br") to a supported locale
+  resolveLocale(languageCode) {
+    const base = (languageCode || '').toLowerCase().split('-')[0];
+    return this.isSupported(base) ? base : this.defaultLocale;
+  }
+
+  getCatalog(locale) {
+    return this.catalogs[locale] || this.catalogs[this.defaultLocale];
+  }
+
+  getLanguageName(locale) {
+    return this.getCatalog(locale).meta.name;
+  }
+
+  // Translate a key. A numeric `count` param selects the plural form (key_one / key_other).
+  // Missing keys fall back to the default locale, then to the key itself.
+  t(locale, key, params = {}) {
+    const catalog = this.getCatalog(locale);
+    const fallback = this.catalogs[this.defaultLocale];
+
+    let lookupKey = key;
+    if (typeof params.count === 'number') {
+      const form = new Intl.PluralRules(catalog.meta.numberLocale).select(params.count) === 'one' ? 'one' : 'other';
+      if (catalog.messages[`${key}_${form}`] !== undefined || fallback.messages[`${key}_${form}`] !== undefined) {
+        lookupKey = `${key}_${form}`;
+      }
+    }
+
+    const template = catalog.messages[lookupKey] ?? fallback.messages[lookupKey] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+
+  formatNumber(locale, value, options = {}) {
+    return new Intl.NumberFormat(this.getCatalog(locale).meta.numberLocale, options).format(value || 0);
+  }
+
+  // Clock time, e.g. "14:05 UTC"
+  formatTime(locale, date, timeZone = 'UTC') {
+    const time = new Intl.DateTimeFormat(this.getCatalog(locale).meta.numberLocale, {
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZone
+    }).format(date);
+    return `${time} ${timeZone}`;
+  }
+
+  // Whole-dollar amounts, e.g. "$1,234" / "1234 US$"
+  formatUsd(locale, value) {
+    return this.getCatalog(locale).meta.currency.replace('{amount}', this.formatNumber(locale, Math.round(value || 0)));
+  }
+
+  // Dollar amounts in a unit (B, M or K), e.g. "$1.2B" / "1,2 mil M US$"
+  formatUsdUnit(locale, value, unit, decimals = 0) {
+    const { meta } = this.getCatalog(locale);
+    const amount = this.formatNumber(locale, value, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    return meta.currency.replace('{amount}', `${amount}${meta.units[unit]}`);
+  }
+}
+
+module.exports = I18n;
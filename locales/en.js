@@ -0,0 +1,490 @@
+// English message catalog (default locale)
+module.exports = {
+  meta: {
+    name: 'English',
+    flag: '🇬🇧',
+    numberLocale: 'en-US',
+    currency: '${amount}',
+    units: { B: 'B', M: 'M', K: 'K' }
+  },
+
+  messages: {
+    // Shared
+    'common.rateLimited': '⚠️ Daily limit exceeded ({limit} interactions/day). Try again tomorrow!',
+    'common.adminOnly': '⛔ Only chat admins can configure this bot.',
+    'common.adminOnlyButton': '⛔ Only chat admins can change settings.',
+    'common.autoOff': '⚠️ Pingooor has been automatically turned OFF due to filter changes. Use /menu to turn it back ON when you\'re done configuring.',
+    'common.unknown': 'Unknown',
+    'common.none': 'None',
+    'common.backToMenu': '🔙 Back to Menu',
+    'common.cancel': '❌ Cancel',
+    'common.cancelled': '❌ Cancelled.',
+    'common.requestError': 'Error processing request',
+    'common.tradeOnPepo': '💹 [Trade on Pepo](https://app.pepo.fun/whaleooor)',
+
+    // /start, /stop, /help
+    'start.welcome': `🐋 Welcome to Whale Tracker Bot!
+
+I monitor Solana whale transactions and send personalized alerts.
+
+**⚠️ Bot starts OFF by default**
+Use /menu to:
+• Turn the bot ON 🔔
+• Choose: All Tokens or Token Filter mode
+• Configure your filters
+
+Get started with /menu!
+
+👥 In groups and channels only admins can change settings. In forum groups, run /start in each topic that should receive alerts (/stop removes it).
+
+🌐 Change the language with /language`,
+    'stop.notTopic': 'ℹ️ /stop only applies to forum topics. Use /menu to turn Pingooor OFF.',
+    'stop.done': '🔕 This topic will no longer receive alerts.',
+    'help.text': `🐋 Whale Tracker Bot Help
+
+Commands:
+/start - Initialize your account
+/menu - Configure filters and settings
+/stop - Stop alerts in this forum topic
+/filters - View your current filters
+/profile - Save, load, list or delete filter profiles
+/quiet - Set quiet hours (e.g. /quiet 23:00-07:00 Europe/Berlin)
+/export - Download your filters as a JSON file
+/import - Replace your filters from a JSON file
+/label - Label a whale wallet (e.g. /label <address> Big Fish)
+/labels - List your whale labels
+/unlabel - Remove a whale label
+/template - Choose the alert layout (detailed, compact or custom)
+/language - Change the bot language
+/cancel - Cancel the current prompt
+/help - Show this help message
+
+Inline mode:
+Type @{botUsername} <symbol or mint> in any chat to share a token's recent whale activity
+
+Filter Types:
+• Token Whitelist - Track specific tokens only
+• Minimum Purchase - Set USD threshold for alerts
+• Maximum Market Cap - Filter out high market cap tokens
+• Minimum Market Cap - Filter out low market cap tokens
+• Minimum Liquidity - Filter out tokens with thin liquidity
+• 24h Price Change - Only alert when the 24h price change is inside a range
+• Token Blacklist - Ignore specific tokens
+• Direction - Only buys, only sells, or both
+• Token Cooldown - Fold repeat alerts for the same token into one follow-up
+• Delivery - Real-time alerts or an hourly, 4h or daily digest grouped by token
+• Whale Blacklist - Ignore specific whale wallets
+• Whale Watchlist - Follow specific whale wallets (Whale Watch mode)
+
+Quiet Hours:
+/quiet 23:00-07:00 Europe/Berlin - Mute alerts overnight (timezone defaults to UTC)
+/quiet 23:00-07:00 Europe/Berlin silent - Deliver alerts without sound instead
+/quiet 23:00-07:00 nosummary - Skip the summary of muted alerts
+/quiet off - Disable quiet hours
+
+Profiles:
+/profile save <name> - Save current filters as a profile
+/profile load <name> - Switch to a saved profile
+/profile list - List your profiles
+/profile delete <name> - Delete a profile
+
+The bot monitors whale transactions every {interval} seconds and sends alerts when transactions match your filters.`,
+
+    // /language
+    'language.choose': '🌐 Current language: {language}\n\nChoose a language:',
+    'language.set': '🌐 Language set to English.',
+    'language.unknown': '❌ Unknown language "{code}". Available: {locales}',
+
+    // Filter names (shown in /filters, the filter browser and prompts)
+    'filterGroup.token_whitelist': '✅ Token Whitelist',
+    'filterGroup.min_purchase': '💰 Minimum Purchase',
+    'filterGroup.max_market_cap': '📊 Maximum Market Cap',
+    'filterGroup.min_market_cap': '📈 Minimum Market Cap',
+    'filterGroup.min_liquidity': '💧 Minimum Liquidity',
+    'filterGroup.price_change_range': '📉 24h Price Change Range',
+    'filterGroup.direction': '↕️ Direction',
+    'filterGroup.token_blacklist': '🚫 Token Blacklist',
+    'filterGroup.whale_blacklist': '🐋 Whale Blacklist',
+    'filterGroup.whale_watchlist': '👀 Whale Watchlist',
+    'filterGroup.token_cooldown': '⏳ Token Cooldown (minutes)',
+
+    // Modes, directions and delivery modes
+    'mode.all_tokens': 'All Tokens',
+    'mode.token_filter': 'Token Filter',
+    'mode.first_mention': 'First Mention Only',
+    'mode.whale_watch': 'Whale Watch',
+    'direction.both': 'Buys & Sells',
+    'direction.buys': 'Buys Only',
+    'direction.sells': 'Sells Only',
+    'deliveryMode.realtime': 'Real-time',
+    'deliveryMode.digest_1h': 'Hourly Digest',
+    'deliveryMode.digest_4h': '4h Digest',
+    'deliveryMode.digest_24h': 'Daily Digest',
+
+    // /filters and the filter browser
+    'filters.none': '❌ You have no active filters. Use /menu to set up filters.',
+    'filters.title': '🔍 Your Active Filters:',
+    'browser.empty': '❌ You have no active filters.',
+    'browser.title': '🔍 Your Active Filters ({count})',
+    'browser.page': ' - page {page}/{pages}',
+    'browser.hint': '💡 Tap ❌ to delete a filter or ✏️ to change its value',
+    'browser.edit': '✏️ Edit',
+    'filter.notFound': '❌ Filter not found - it may have been removed already.',
+    'filter.deleteConfirm': '🗑️ Delete this filter?\n\n{name}: {value}',
+    'filter.deleteYes': '✅ Yes, delete',
+    'filter.deleteCancel': '↩️ Cancel',
+    'filter.removed': '✅ Filter removed: {value}',
+    'filter.added': '✅ Filter added successfully!',
+    'filter.addError': '❌ Error adding filter. Please try again.',
+    'filter.updated': '✅ Filter updated to {value}!',
+    'filter.updateError': '❌ Error updating filter. Please try again.',
+
+    // Text input prompts
+    'prompt.token_whitelist': 'Enter token symbol or mint address to whitelist:',
+    'prompt.min_purchase': 'Enter minimum purchase amount in USD:',
+    'prompt.max_market_cap': 'Enter maximum market cap in USD:',
+    'prompt.min_market_cap': 'Enter minimum market cap in USD:',
+    'prompt.min_liquidity': 'Enter minimum liquidity in USD:',
+    'prompt.price_change_range': 'Enter 24h price change range in % as MIN MAX (use "any" for an open side), e.g. "-10 50" or "20 any":',
+    'prompt.token_blacklist': 'Enter token symbol or mint address to blacklist:',
+    'prompt.whale_blacklist': 'Enter whale address to blacklist:',
+    'prompt.whale_watchlist': 'Enter whale address to watch:',
+    'prompt.token_cooldown': 'Enter token cooldown in minutes (1-1440). Repeat alerts for the same token inside the window are folded into one follow-up:',
+    'prompt.import': 'Send the exported JSON file or paste its contents:',
+    'prompt.custom_template': `Send your alert template. Available placeholders:
+{placeholders}
+
+Example:
+{side} {symbol} for {usd} (MC {mcap}) by {whale} at {time}
+{tx}`,
+    'prompt.edit': 'Enter new value for {name} (currently {value}):',
+    'prompt.footer': '↩️ Reply to this message (or send /cancel). Expires in {minutes} minutes.',
+    'prompt.retry': 'Try again or send /cancel.',
+    'prompt.cancelHint': '✋ Changed your mind?',
+    'prompt.expired': '⌛ This prompt has expired. Please start again from /menu.',
+    'cancel.nothing': 'ℹ️ Nothing to cancel.',
+
+    // Input validation
+    'input.wholeNumber': '❌ Please enter a valid positive whole number (no decimals).',
+    'input.priceRange': '❌ Please enter two numbers as MIN MAX with MIN below MAX, e.g. "-10 50" or "20 any".',
+    'input.cooldown': '❌ Please enter a whole number of minutes between 1 and 1440.',
+    'input.listFull': '❌ Maximum {max} items allowed for this filter type. Clear some first.',
+    'input.error': '❌ Error saving your input. Please try again.',
+
+    // Token resolution
+    'token.notFound': '❌ No Solana token found for "{input}". Check the symbol or paste the mint address.',
+    'token.confirm': 'Add this token to {name}?',
+    'token.pick': 'Found {count} tokens matching "{input}". Pick the one to add to {name}:',
+    'token.candidate': '{index}. {symbol}{name}{added}\n   MC: {marketCap}\n   {mint}',
+    'token.alreadyAddedTag': ' (already added)',
+    'token.alreadyAdded': 'ℹ️ {symbol} is already in {name}.',
+
+    // Profiles
+    'profile.usage': '❌ Usage: /profile save|load|list|delete <name>',
+    'profile.invalidName': '❌ Profile name must be 1-32 letters, numbers, spaces, dashes or underscores.',
+    'profile.limit': '❌ Maximum {max} profiles allowed. Delete one first.',
+    'profile.saved_one': '💾 Profile "{name}" saved ({count} filter).',
+    'profile.saved_other': '💾 Profile "{name}" saved ({count} filters).',
+    'profile.notFoundHint': '❌ Profile "{name}" not found. Use /profile list to see your profiles.',
+    'profile.notFound': '❌ Profile "{name}" not found.',
+    'profile.notFoundRetry': '❌ Profile not found. Please try again.',
+    'profile.loaded': '📂 Profile "{name}" loaded!',
+    'profile.deleted': '🗑️ Profile "{name}" deleted.',
+    'profile.error': '❌ Error managing profiles. Please try again.',
+    'profiles.empty': '📁 You have no saved profiles.\n\n💡 Save your current filters with /profile save <name>',
+    'profiles.title': '📁 Your Filter Profiles:',
+    'profiles.active': ' (active)',
+    'profiles.hint': '💡 Tap a profile to load it',
+
+    // /quiet
+    'quiet.status': '🌙 Quiet hours: {label} ({mode}{summary})\n\nUse /quiet off to disable.',
+    'quiet.withSummary': ', with summary',
+    'quiet.mode.mute': 'mute',
+    'quiet.mode.silent': 'silent',
+    'quiet.off': '🌙 Quiet hours are off.\n\nExample: /quiet 23:00-07:00 Europe/Berlin',
+    'quiet.disabled': '☀️ Quiet hours disabled.',
+    'quiet.usage': '❌ Usage: /quiet 23:00-07:00 Europe/Berlin [mute|silent] [summary|nosummary]\n\nStart and end must differ and the timezone must be a valid IANA name.',
+    'quiet.set': '🌙 Quiet hours set: {label}\n\n{details}',
+    'quiet.setMute': 'Alerts will be held back.',
+    'quiet.setMuteSummary': 'Alerts will be held back and summarized when the window ends.',
+    'quiet.setSilent': 'Alerts will be delivered without sound.',
+    'quiet.error': '❌ Error saving quiet hours. Please try again.',
+
+    // /export and /import
+    'export.caption': '📤 Your filter configuration. Share it and load it with /import.',
+    'export.error': '❌ Error exporting filters. Please try again.',
+    'import.unreadable': '❌ Could not read the file. Send a JSON file under 64KB exported with /export.',
+    'import.invalidJson': '❌ Invalid JSON. Use a file exported with /export.',
+    'import.rejected': '❌ Import rejected:\n\n{errors}',
+    'import.done_one': '✅ Imported {count} filter!',
+    'import.done_other': '✅ Imported {count} filters!',
+    'import.error': '❌ Error importing filters. Please try again.',
+    'importError.missingFilters': 'Missing "filters" object',
+    'importError.version': 'Unsupported version: {version}',
+    'importError.list': '"{key}" must be a list of non-empty strings',
+    'importError.listTooLong': '"{key}" has {count} items (maximum {max})',
+    'importError.number': '"{key}" must be a positive whole number',
+    'importError.boolean': '"{key}" must be true or false',
+    'importError.choice': '"{key}" must be one of: {choices}',
+    'importError.priceRange': '"price_change_range" must be { "min": number|null, "max": number|null } with min below max',
+
+    // Inline mode
+    'inline.title': '🐋 {symbol} - {buys} buys / {sells} sells',
+    'inline.description': 'Market Cap: {marketCap} · {mint}',
+    'inline.noResultsTitle': 'No recent whale activity for "{query}"',
+    'inline.noResultsDescription': 'Only swaps from the last 24 hours are searchable',
+    'inline.noResultsMessage': '🐋 No whale activity for {query} in the last 24 hours.',
+
+    // Menu buttons and callbacks
+    'menu.next.all_tokens': '🔵 All Tokens',
+    'menu.next.token_filter': '⚪ Token Filter',
+    'menu.next.first_mention': '🆕 First Mention Only',
+    'menu.next.whale_watch': '👀 Whale Watch',
+    'menu.turnOff': '🔕 Turn OFF',
+    'menu.turnOn': '🔔 Turn ON',
+    'menu.delivery': '📰 Delivery: {mode}',
+    'menu.direction': '↕️ Direction: {direction}',
+    'menu.addWhitelist': '➕ Add Token Whitelist',
+    'menu.setMinPurchase': '💰 Set Min Purchase',
+    'menu.setMaxMarketCap': '📊 Set Max Market Cap',
+    'menu.setMinMarketCap': '📈 Set Min Market Cap',
+    'menu.setMinLiquidity': '💧 Set Min Liquidity',
+    'menu.setPriceChange': '📉 Set 24h Change',
+    'menu.addBlacklist': '🚫 Add Token Blacklist',
+    'menu.addWhaleBlacklist': '🐋 Add Whale Blacklist',
+    'menu.addWhaleWatchlist': '👀 Add Whale Watchlist',
+    'menu.cooldown': '⏳ Cooldown: {value}',
+    'menu.cooldownMinutes': '{minutes}m',
+    'menu.cooldownOff': 'Off',
+    'menu.followupEdit': '✏️ Follow-up: Edit',
+    'menu.followupMessage': '💬 Follow-up: Message',
+    'menu.alertTemplate': '🧾 Alert Style: {style}',
+    'menu.profiles': '📁 Profiles',
+    'menu.viewFilters': '🔍 View Filters',
+    'menu.clearAll': '🗑️ Clear All',
+    'menu.statusOn': 'ON 🔔',
+    'menu.statusOff': 'OFF 🔕',
+    'menu.quietOff': 'Off (set with /quiet)',
+    'menu.text': `🐋 Whaleooor Pingooor Settings
+
+**Current Status:**
+• Mode: {mode}
+• Pingoor: {status}
+• Direction: {direction}
+• Delivery: {delivery}
+• Profile: {profile}
+• Quiet Hours: {quiet}
+• Alert Style: {template}
+
+**How it works:**
+• **All Tokens + ON**: Get alerts for all whale transactions (use blacklist to exclude)
+• **Token Filter + ON**: Only get alerts for whitelisted tokens
+• **First Mention Only + ON**: Only get alerts for tokens appearing for the first time
+• **Whale Watch + ON**: Only get alerts for swaps by watchlisted whales
+• **OFF**: No notifications (bot is paused)
+
+**Configure your settings:**
+• **Mode Button**: Cycles between All Tokens → Token Filter → First Mention Only → Whale Watch
+• **Pingoor Toggle**: Turn bot ON/OFF
+• **Direction**: Cycles between Buys & Sells → Buys Only → Sells Only
+• **Delivery**: Cycles between Real-time → Hourly → 4h → Daily digest
+• **Token Whitelist**: Add tokens to monitor (Token Filter mode)
+• **Token Blacklist**: Exclude tokens (every mode)
+• **Whale Blacklist**: Block specific whale addresses
+• **Whale Watchlist**: Follow specific whale addresses (Whale Watch mode)
+• **Min Purchase/Market Cap/Liquidity/24h Change**: Additional filters
+• **Cooldown**: Fold repeat alerts for the same token into one follow-up (edit the first alert or send one message)
+• **Alert Style**: Detailed card, compact one-liner or your own template
+• **Profiles**: Switch between saved filter setups (save with /profile save <name>)
+
+Choose an option below:`,
+    'cooldown.followupEdit': '✏️ Cooldown follow-ups will edit the original alert.',
+    'cooldown.followupMessage': '💬 Cooldown follow-ups will be sent as one combined message at the end of the window.',
+    'mode.changed': '🔄 Mode changed to: {mode}\n\n⚠️ Pingooor has been automatically turned OFF due to mode change. Use /menu to turn it back ON when you\'re ready.',
+    'direction.changed': '↕️ Direction changed to: {direction}',
+    'delivery.changed': '📰 Delivery changed to: {mode}',
+    'delivery.realtimeNote': 'Any queued digest will be sent on the next check.',
+    'delivery.digestNote': 'Matching swaps will be collected and sent as one summary per interval.',
+    'notifications.enabled': '🔔 Pingoor notifications enabled!',
+    'notifications.disabled': '🔕 Pingoor notifications disabled!',
+    'clearAll.done': '✅ All filters cleared!\n\n⚠️ Pingooor has been automatically turned OFF. Use /menu to turn it back ON when you\'re ready.',
+
+    // Alerts
+    'alert.buy': '🟢 BUY',
+    'alert.sell': '🔴 SELL',
+    'alert.newMention': '🆕 NEW MENTION ',
+    'alert.firstSeen': ' 🆕 FIRST TIME SEEN',
+    'alert.text': `{tag}{side} Alert!
+
+🐋 Whale: [{whale}]({whaleUrl})
+💰 Token: [{symbol}]({tokenUrl}){firstSeen}
+📋 CA: \`{mint}\`
+📊 Amount: {amount}
+💵 Value: {value}
+🏦 Market Cap: {marketCap}
+🔗 [View Transaction]({txUrl})
+{trade}
+{why}
+#WhaleAlert #{symbol}`,
+    'alert.why': '🎯 Why: {reasons}\n',
+    'alert.compact': '{tag}{side} [{symbol}]({tokenUrl}) · {value} · MC {marketCap} · 🐋 [{whale}]({whaleUrl}) · [Tx]({txUrl})',
+
+    // Whale labels
+    'label.usage': `Usage:
+/label <whale address> <name> - label a whale in this chat
+/label global <whale address> <name> - label a whale for everyone (bot admins only)
+/unlabel [global] <whale address> - remove a label
+/labels - list labels`,
+    'label.invalidAddress': '❌ That is not a valid Solana wallet address.',
+    'label.invalidName': '❌ Labels must be 1-{max} characters and can\'t contain _ * ` [ ] ( )',
+    'label.limit': '❌ You can have at most {max} whale labels. Remove some with /unlabel first.',
+    'label.saved': '🏷️ {address} is now labelled "{label}".',
+    'label.savedGlobal': '🏷️ {address} is now labelled "{label}" for everyone.',
+    'label.removed': '🗑️ Label removed from {address}.',
+    'label.notFound': '❌ No label found for {address}.',
+    'label.adminOnly': '⛔ Only bot admins can manage global labels.',
+    'label.error': '❌ Error managing labels. Please try again.',
+    'labels.empty': '🏷️ No whale labels yet.\n\n💡 Add one with /label <whale address> <name>',
+    'labels.title': '🏷️ Your whale labels:',
+    'labels.globalTitle': '🌐 Global labels:',
+
+    // Admin commands
+    'admin.only': '⛔ This command is for bot admins.',
+    'admin.error': '❌ Error running the admin command. Please try again.',
+    'admin.stats': `📊 Bot Stats
+
+👥 Users: {users} ({active} with alerts ON, {banned} banned)
+🚫 Unreachable: {blocked} blocked the bot · {deactivated} deactivated · {chatNotFound} chats not found
+📨 Alerts in the last 24h: {sent24h} sent · {failed24h} failed · {queued24h} queued
+📈 Since start: {alertsSent} sent · {alertsFailed} failed
+📬 Delivery queue: {queueSize} waiting · {queueRetried} retries · {queueRateLimited} rate limits
+🔄 Last poll: {poll}
+🧹 Swaps since start: {swapsAccepted} valid · {swapsRejected} rejected
+⏱️ Uptime: {uptime}`,
+    'admin.pollNever': 'not yet',
+    'admin.pollOk': '✅ {ago} ago · {swaps} swaps · {duration} ms',
+    'admin.pollFailed_one': '❌ {ago} ago · {error} ({count} failure in a row, next try in {retryIn})',
+    'admin.pollFailed_other': '❌ {ago} ago · {error} ({count} failures in a row, next try in {retryIn})',
+    'admin.broadcastUsage': 'Usage: /broadcast <message> (Markdown). You\'ll see a preview before anything is sent.',
+    'admin.broadcastInvalid': '❌ The message could not be sent - check the Markdown formatting.',
+    'admin.broadcastBusy': '⏳ A broadcast is already being sent. Try again when it finishes.',
+    'admin.broadcastConfirm_one': '👆 Preview. Send this to {count} chat?',
+    'admin.broadcastConfirm_other': '👆 Preview. Send this to {count} chats?',
+    'admin.broadcastSend': '📣 Send',
+    'admin.broadcastStarted': '📣 Broadcast started. You\'ll get a report when it finishes.',
+    'admin.broadcastDone': '📣 Broadcast finished: {sent} sent, {failed} failed.',
+    'admin.banUsage': 'Usage: /ban <telegram id> or /unban <telegram id>',
+    'admin.cannotBanAdmin': '❌ Bot admins can\'t be banned.',
+    'admin.banned': '🚫 {id} is banned: the bot ignores it and sends it no alerts.',
+    'admin.unbanned': '✅ {id} is no longer banned.',
+
+    // Alert action buttons
+    'alertButton.mute': '🔇 Mute token',
+    'alertButton.block': '🚫 Block whale',
+    'alertButton.watch': '👀 Watch token',
+    'alertButton.details': 'ℹ️ Details',
+    'alertAction.mt': '🔇 {symbol} added to your Token Blacklist - no more alerts for it.',
+    'alertAction.bw': '🚫 Whale {whale} added to your Whale Blacklist.',
+    'alertAction.wt': '👀 {symbol} added to your Token Whitelist (used in Token Filter mode).',
+    'alertAction.already': 'ℹ️ Already in {name}.',
+    'alertAction.undo': '↩️ Undo',
+    'alertAction.undone': '↩️ Undone - {value} removed from {name}.',
+    'alertAction.undoMissing': 'ℹ️ Nothing to undo - the filter was already removed.',
+    'alertAction.expired': '⌛ This alert is too old for quick actions. Use /menu instead.',
+
+    // Alert templates
+    'templateStyle.detailed': 'Detailed',
+    'templateStyle.compact': 'Compact',
+    'templateStyle.custom': 'Custom',
+    'template.status': `🧾 Alert Style: {style}
+
+• Detailed - the full alert card
+• Compact - one line per alert
+• Custom - your own template{custom}
+
+Tap a style to use it, or 👁️ Preview to see it on a sample swap.`,
+    'template.current': '\n\nYour custom template:\n{template}',
+    'template.editCustom': '✏️ Edit Custom Template',
+    'template.preview': '👁️ Preview',
+    'template.previewTitle': '👁️ Preview ({style}):',
+    'template.changed': '🧾 Alert style changed to: {style}',
+    'template.saved': '✅ Custom template saved and selected!',
+    'template.invalid.empty': '❌ The template is empty.',
+    'template.invalid.too_long': '❌ Templates can be at most {max} characters.',
+    'template.invalid.unknown_placeholder': '❌ Unknown placeholder: {unknown}\n\nAvailable: {placeholders}',
+    'template.invalid.no_placeholder': '❌ Use at least one placeholder: {placeholders}',
+    'template.error': '❌ Error updating the alert style. Please try again.',
+
+    // Why an alert fired
+    'reason.firstMention': 'First mention',
+    'reason.whitelisted': 'Whitelisted token',
+    'reason.watchedWhale': 'Watched whale',
+    'reason.allTokens': 'All tokens',
+    'reason.buysOnly': 'Buys only',
+    'reason.sellsOnly': 'Sells only',
+    'reason.buyBoth': 'Buy (buys & sells)',
+    'reason.sellBoth': 'Sell (buys & sells)',
+    'reason.minPurchase': 'Value ≥ {value}',
+    'reason.minMarketCap': 'MCap ≥ {value}',
+    'reason.maxMarketCap': 'MCap ≤ {value}',
+    'reason.minLiquidity': 'Liquidity ≥ {value}',
+    'reason.priceChange': '24h {range}',
+    'range.between': '{min}% to {max}%',
+    'range.min': '≥ {min}%',
+    'range.max': '≤ {max}%',
+
+    // Quiet hours summary
+    'quietSummary.text': `🌅 Quiet hours are over!
+
+{intro}
+🟢 Buys: {buys}
+🔴 Sells: {sells}
+💵 Total Value: {total}
+
+*Top tokens:*
+{tokens}`,
+    'quietSummary.intro_one': 'While you were away, {count} alert was muted:',
+    'quietSummary.intro_other': 'While you were away, {count} alerts were muted:',
+    'quietSummary.token_one': '  • {symbol}: {count} alert',
+    'quietSummary.token_other': '  • {symbol}: {count} alerts',
+
+    // Digest
+    'digest.text': `📰 Whale Digest ({period})
+
+{swaps} matching swaps across {tokens} tokens
+
+{sections}{more}
+
+{trade}`,
+    'digest.token': `💰 [{symbol}]({tokenUrl})
+🟢 Buys: {buys} ({buyValue}) · 🔴 Sells: {sells} ({sellValue})
+🐋 Whales: {whales} · Biggest: {side} {value} by [{whale}]({whaleUrl})`,
+    'digest.more': '\n\n➕ {count} more tokens',
+    'digest.period.digest_1h': 'last hour',
+    'digest.period.digest_4h': 'last 4 hours',
+    'digest.period.digest_24h': 'last 24 hours',
+    'digest.period.default': 'queued swaps',
+
+    // Token cooldown follow-up, e.g. "➕ +4 more whale buys of BONK totalling $120K"
+    'followUp.text': '➕ +{count} more whale {what} of {symbol} totalling {total}',
+    'followUp.buy_one': 'buy',
+    'followUp.buy_other': 'buys',
+    'followUp.sell_one': 'sell',
+    'followUp.sell_other': 'sells',
+    'followUp.mixed': 'swaps ({buys}, {sells})',
+
+    // Inline token activity
+    'activity.text': `🐋 Whale Activity: [{symbol}]({tokenUrl})
+
+📋 CA: \`{mint}\`
+🏦 Market Cap: {marketCap}
+🟢 Buys: {buys} ({buyValue})
+🔴 Sells: {sells} ({sellValue})
+
+*Last alerts:*
+{lastSwaps}
+
+{trade}`,
+    'activity.swap': '{side} {value} by [{whale}]({whaleUrl}) · {minutes}m ago'
+  }
+};
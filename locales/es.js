@@ -0,0 +1,490 @@
+// Spanish message catalog
+module.exports = {
+  meta: {
+    name: 'Español',
+    flag: '🇪🇸',
+    numberLocale: 'es-ES',
+    currency: '{amount} US$',
+    units: { B: ' mil M', M: ' M', K: ' mil' }
+  },
+
+  messages: {
+    // Shared
+    'common.rateLimited': '⚠️ Límite diario superado ({limit} interacciones/día). ¡Vuelve a intentarlo mañana!',
+    'common.adminOnly': '⛔ Solo los administradores del chat pueden configurar este bot.',
+    'common.adminOnlyButton': '⛔ Solo los administradores del chat pueden cambiar los ajustes.',
+    'common.autoOff': '⚠️ Pingooor se ha APAGADO automáticamente por los cambios en los filtros. Usa /menu para volver a encenderlo cuando termines de configurarlo.',
+    'common.unknown': 'Desconocido',
+    'common.none': 'Ninguno',
+    'common.backToMenu': '🔙 Volver al menú',
+    'common.cancel': '❌ Cancelar',
+    'common.cancelled': '❌ Cancelado.',
+    'common.requestError': 'Error al procesar la solicitud',
+    'common.tradeOnPepo': '💹 [Operar en Pepo](https://app.pepo.fun/whaleooor)',
+
+    // /start, /stop, /help
+    'start.welcome': `🐋 ¡Bienvenido a Whale Tracker Bot!
+
+Vigilo las transacciones de ballenas en Solana y envío alertas personalizadas.
+
+**⚠️ El bot empieza APAGADO por defecto**
+Usa /menu para:
+• Encender el bot 🔔
+• Elegir: modo Todos los tokens o Filtro de tokens
+• Configurar tus filtros
+
+¡Empieza con /menu!
+
+👥 En grupos y canales solo los administradores pueden cambiar los ajustes. En grupos con temas, ejecuta /start en cada tema que deba recibir alertas (/stop lo quita).
+
+🌐 Cambia el idioma con /language`,
+    'stop.notTopic': 'ℹ️ /stop solo se aplica a temas de foro. Usa /menu para APAGAR Pingooor.',
+    'stop.done': '🔕 Este tema ya no recibirá alertas.',
+    'help.text': `🐋 Ayuda de Whale Tracker Bot
+
+Comandos:
+/start - Inicializa tu cuenta
+/menu - Configura filtros y ajustes
+/stop - Detiene las alertas en este tema del foro
+/filters - Muestra tus filtros actuales
+/profile - Guarda, carga, lista o borra perfiles de filtros
+/quiet - Configura horas de silencio (p. ej. /quiet 23:00-07:00 Europe/Madrid)
+/export - Descarga tus filtros como archivo JSON
+/import - Reemplaza tus filtros desde un archivo JSON
+/label - Pon una etiqueta a una ballena (p. ej. /label <dirección> Pez gordo)
+/labels - Muestra tus etiquetas de ballenas
+/unlabel - Quita una etiqueta de ballena
+/template - Elige el formato de las alertas (detallado, compacto o personalizado)
+/language - Cambia el idioma del bot
+/cancel - Cancela la pregunta en curso
+/help - Muestra esta ayuda
+
+Modo inline:
+Escribe @{botUsername} <símbolo o mint> en cualquier chat para compartir la actividad reciente de ballenas de un token
+
+Tipos de filtro:
+• Lista blanca de tokens - Sigue solo tokens concretos
+• Compra mínima - Umbral en USD para las alertas
+• Capitalización máxima - Excluye tokens con capitalización alta
+• Capitalización mínima - Excluye tokens con capitalización baja
+• Liquidez mínima - Excluye tokens con poca liquidez
+• Cambio de precio 24h - Alerta solo si el cambio de 24h está dentro de un rango
+• Lista negra de tokens - Ignora tokens concretos
+• Dirección - Solo compras, solo ventas o ambas
+• Enfriamiento por token - Agrupa las alertas repetidas de un token en un solo seguimiento
+• Entrega - Alertas en tiempo real o un resumen cada hora, cada 4h o diario agrupado por token
+• Lista negra de ballenas - Ignora carteras de ballenas concretas
+• Ballenas vigiladas - Sigue carteras de ballenas concretas (modo Vigilar ballenas)
+
+Horas de silencio:
+/quiet 23:00-07:00 Europe/Madrid - Silencia las alertas por la noche (zona horaria UTC por defecto)
+/quiet 23:00-07:00 Europe/Madrid silent - Entrega las alertas sin sonido
+/quiet 23:00-07:00 nosummary - Omite el resumen de alertas silenciadas
+/quiet off - Desactiva las horas de silencio
+
+Perfiles:
+/profile save <nombre> - Guarda los filtros actuales como perfil
+/profile load <nombre> - Cambia a un perfil guardado
+/profile list - Lista tus perfiles
+/profile delete <nombre> - Borra un perfil
+
+El bot revisa las transacciones de ballenas cada {interval} segundos y envía alertas cuando coinciden con tus filtros.`,
+
+    // /language
+    'language.choose': '🌐 Idioma actual: {language}\n\nElige un idioma:',
+    'language.set': '🌐 Idioma cambiado a español.',
+    'language.unknown': '❌ Idioma desconocido "{code}". Disponibles: {locales}',
+
+    // Filter names (shown in /filters, the filter browser and prompts)
+    'filterGroup.token_whitelist': '✅ Lista blanca de tokens',
+    'filterGroup.min_purchase': '💰 Compra mínima',
+    'filterGroup.max_market_cap': '📊 Capitalización máxima',
+    'filterGroup.min_market_cap': '📈 Capitalización mínima',
+    'filterGroup.min_liquidity': '💧 Liquidez mínima',
+    'filterGroup.price_change_range': '📉 Rango de cambio de precio 24h',
+    'filterGroup.direction': '↕️ Dirección',
+    'filterGroup.token_blacklist': '🚫 Lista negra de tokens',
+    'filterGroup.whale_blacklist': '🐋 Lista negra de ballenas',
+    'filterGroup.whale_watchlist': '👀 Ballenas vigiladas',
+    'filterGroup.token_cooldown': '⏳ Enfriamiento por token (minutos)',
+
+    // Modes, directions and delivery modes
+    'mode.all_tokens': 'Todos los tokens',
+    'mode.token_filter': 'Filtro de tokens',
+    'mode.first_mention': 'Solo primeras menciones',
+    'mode.whale_watch': 'Vigilar ballenas',
+    'direction.both': 'Compras y ventas',
+    'direction.buys': 'Solo compras',
+    'direction.sells': 'Solo ventas',
+    'deliveryMode.realtime': 'Tiempo real',
+    'deliveryMode.digest_1h': 'Resumen cada hora',
+    'deliveryMode.digest_4h': 'Resumen cada 4h',
+    'deliveryMode.digest_24h': 'Resumen diario',
+
+    // /filters and the filter browser
+    'filters.none': '❌ No tienes filtros activos. Usa /menu para configurarlos.',
+    'filters.title': '🔍 Tus filtros activos:',
+    'browser.empty': '❌ No tienes filtros activos.',
+    'browser.title': '🔍 Tus filtros activos ({count})',
+    'browser.page': ' - página {page}/{pages}',
+    'browser.hint': '💡 Pulsa ❌ para borrar un filtro o ✏️ para cambiar su valor',
+    'browser.edit': '✏️ Editar',
+    'filter.notFound': '❌ Filtro no encontrado; puede que ya se haya borrado.',
+    'filter.deleteConfirm': '🗑️ ¿Borrar este filtro?\n\n{name}: {value}',
+    'filter.deleteYes': '✅ Sí, borrar',
+    'filter.deleteCancel': '↩️ Cancelar',
+    'filter.removed': '✅ Filtro borrado: {value}',
+    'filter.added': '✅ ¡Filtro añadido!',
+    'filter.addError': '❌ Error al añadir el filtro. Inténtalo de nuevo.',
+    'filter.updated': '✅ ¡Filtro cambiado a {value}!',
+    'filter.updateError': '❌ Error al cambiar el filtro. Inténtalo de nuevo.',
+
+    // Text input prompts
+    'prompt.token_whitelist': 'Escribe el símbolo o la dirección mint del token para la lista blanca:',
+    'prompt.min_purchase': 'Escribe la compra mínima en USD:',
+    'prompt.max_market_cap': 'Escribe la capitalización máxima en USD:',
+    'prompt.min_market_cap': 'Escribe la capitalización mínima en USD:',
+    'prompt.min_liquidity': 'Escribe la liquidez mínima en USD:',
+    'prompt.price_change_range': 'Escribe el rango de cambio de precio 24h en % como MIN MAX (usa "any" para dejar un lado abierto), p. ej. "-10 50" o "20 any":',
+    'prompt.token_blacklist': 'Escribe el símbolo o la dirección mint del token para la lista negra:',
+    'prompt.whale_blacklist': 'Escribe la dirección de la ballena para la lista negra:',
+    'prompt.whale_watchlist': 'Escribe la dirección de la ballena a vigilar:',
+    'prompt.token_cooldown': 'Escribe el enfriamiento por token en minutos (1-1440). Las alertas repetidas del mismo token dentro de ese tiempo se agrupan en un solo seguimiento:',
+    'prompt.import': 'Envía el archivo JSON exportado o pega su contenido:',
+    'prompt.custom_template': `Envía tu plantilla de alerta. Marcadores disponibles:
+{placeholders}
+
+Ejemplo:
+{side} {symbol} por {usd} (Cap. {mcap}) de {whale} a las {time}
+{tx}`,
+    'prompt.edit': 'Escribe el nuevo valor de {name} (actual: {value}):',
+    'prompt.footer': '↩️ Responde a este mensaje (o envía /cancel). Caduca en {minutes} minutos.',
+    'prompt.retry': 'Inténtalo de nuevo o envía /cancel.',
+    'prompt.cancelHint': '✋ ¿Has cambiado de idea?',
+    'prompt.expired': '⌛ Esta pregunta ha caducado. Vuelve a empezar desde /menu.',
+    'cancel.nothing': 'ℹ️ No hay nada que cancelar.',
+
+    // Input validation
+    'input.wholeNumber': '❌ Escribe un número entero positivo válido (sin decimales).',
+    'input.priceRange': '❌ Escribe dos números como MIN MAX, con MIN menor que MAX, p. ej. "-10 50" o "20 any".',
+    'input.cooldown': '❌ Escribe un número entero de minutos entre 1 y 1440.',
+    'input.listFull': '❌ Se permiten como máximo {max} elementos en este tipo de filtro. Borra alguno primero.',
+    'input.error': '❌ Error al guardar tu respuesta. Inténtalo de nuevo.',
+
+    // Token resolution
+    'token.notFound': '❌ No se encontró ningún token de Solana para "{input}". Revisa el símbolo o pega la dirección mint.',
+    'token.confirm': '¿Añadir este token a {name}?',
+    'token.pick': 'Se encontraron {count} tokens para "{input}". Elige cuál añadir a {name}:',
+    'token.candidate': '{index}. {symbol}{name}{added}\n   Cap.: {marketCap}\n   {mint}',
+    'token.alreadyAddedTag': ' (ya añadido)',
+    'token.alreadyAdded': 'ℹ️ {symbol} ya está en {name}.',
+
+    // Profiles
+    'profile.usage': '❌ Uso: /profile save|load|list|delete <nombre>',
+    'profile.invalidName': '❌ El nombre del perfil debe tener de 1 a 32 letras, números, espacios, guiones o guiones bajos.',
+    'profile.limit': '❌ Se permiten como máximo {max} perfiles. Borra uno primero.',
+    'profile.saved_one': '💾 Perfil "{name}" guardado ({count} filtro).',
+    'profile.saved_other': '💾 Perfil "{name}" guardado ({count} filtros).',
+    'profile.notFoundHint': '❌ No se encontró el perfil "{name}". Usa /profile list para ver tus perfiles.',
+    'profile.notFound': '❌ No se encontró el perfil "{name}".',
+    'profile.notFoundRetry': '❌ Perfil no encontrado. Inténtalo de nuevo.',
+    'profile.loaded': '📂 ¡Perfil "{name}" cargado!',
+    'profile.deleted': '🗑️ Perfil "{name}" borrado.',
+    'profile.error': '❌ Error al gestionar los perfiles. Inténtalo de nuevo.',
+    'profiles.empty': '📁 No tienes perfiles guardados.\n\n💡 Guarda tus filtros actuales con /profile save <nombre>',
+    'profiles.title': '📁 Tus perfiles de filtros:',
+    'profiles.active': ' (activo)',
+    'profiles.hint': '💡 Pulsa un perfil para cargarlo',
+
+    // /quiet
+    'quiet.status': '🌙 Horas de silencio: {label} ({mode}{summary})\n\nUsa /quiet off para desactivarlas.',
+    'quiet.withSummary': ', con resumen',
+    'quiet.mode.mute': 'silenciar',
+    'quiet.mode.silent': 'sin sonido',
+    'quiet.off': '🌙 Las horas de silencio están desactivadas.\n\nEjemplo: /quiet 23:00-07:00 Europe/Madrid',
+    'quiet.disabled': '☀️ Horas de silencio desactivadas.',
+    'quiet.usage': '❌ Uso: /quiet 23:00-07:00 Europe/Madrid [mute|silent] [summary|nosummary]\n\nEl inicio y el fin deben ser distintos y la zona horaria debe ser un nombre IANA válido.',
+    'quiet.set': '🌙 Horas de silencio configuradas: {label}\n\n{details}',
+    'quiet.setMute': 'Las alertas se retendrán.',
+    'quiet.setMuteSummary': 'Las alertas se retendrán y se resumirán al terminar el periodo.',
+    'quiet.setSilent': 'Las alertas se entregarán sin sonido.',
+    'quiet.error': '❌ Error al guardar las horas de silencio. Inténtalo de nuevo.',
+
+    // /export and /import
+    'export.caption': '📤 Tu configuración de filtros. Compártela y cárgala con /import.',
+    'export.error': '❌ Error al exportar los filtros. Inténtalo de nuevo.',
+    'import.unreadable': '❌ No se pudo leer el archivo. Envía un archivo JSON de menos de 64 KB exportado con /export.',
+    'import.invalidJson': '❌ JSON no válido. Usa un archivo exportado con /export.',
+    'import.rejected': '❌ Importación rechazada:\n\n{errors}',
+    'import.done_one': '✅ ¡{count} filtro importado!',
+    'import.done_other': '✅ ¡{count} filtros importados!',
+    'import.error': '❌ Error al importar los filtros. Inténtalo de nuevo.',
+    'importError.missingFilters': 'Falta el objeto "filters"',
+    'importError.version': 'Versión no compatible: {version}',
+    'importError.list': '"{key}" debe ser una lista de textos no vacíos',
+    'importError.listTooLong': '"{key}" tiene {count} elementos (máximo {max})',
+    'importError.number': '"{key}" debe ser un número entero positivo',
+    'importError.boolean': '"{key}" debe ser true o false',
+    'importError.choice': '"{key}" debe ser uno de: {choices}',
+    'importError.priceRange': '"price_change_range" debe ser { "min": número|null, "max": número|null } con min menor que max',
+
+    // Inline mode
+    'inline.title': '🐋 {symbol} - {buys} compras / {sells} ventas',
+    'inline.description': 'Capitalización: {marketCap} · {mint}',
+    'inline.noResultsTitle': 'Sin actividad reciente de ballenas para "{query}"',
+    'inline.noResultsDescription': 'Solo se pueden buscar swaps de las últimas 24 horas',
+    'inline.noResultsMessage': '🐋 Sin actividad de ballenas para {query} en las últimas 24 horas.',
+
+    // Menu buttons and callbacks
+    'menu.next.all_tokens': '🔵 Todos los tokens',
+    'menu.next.token_filter': '⚪ Filtro de tokens',
+    'menu.next.first_mention': '🆕 Solo primeras menciones',
+    'menu.next.whale_watch': '👀 Vigilar ballenas',
+    'menu.turnOff': '🔕 Apagar',
+    'menu.turnOn': '🔔 Encender',
+    'menu.delivery': '📰 Entrega: {mode}',
+    'menu.direction': '↕️ Dirección: {direction}',
+    'menu.addWhitelist': '➕ Añadir a lista blanca',
+    'menu.setMinPurchase': '💰 Compra mínima',
+    'menu.setMaxMarketCap': '📊 Cap. máxima',
+    'menu.setMinMarketCap': '📈 Cap. mínima',
+    'menu.setMinLiquidity': '💧 Liquidez mínima',
+    'menu.setPriceChange': '📉 Cambio 24h',
+    'menu.addBlacklist': '🚫 Añadir a lista negra',
+    'menu.addWhaleBlacklist': '🐋 Bloquear ballena',
+    'menu.addWhaleWatchlist': '👀 Vigilar ballena',
+    'menu.cooldown': '⏳ Enfriamiento: {value}',
+    'menu.cooldownMinutes': '{minutes} min',
+    'menu.cooldownOff': 'No',
+    'menu.followupEdit': '✏️ Seguimiento: editar',
+    'menu.followupMessage': '💬 Seguimiento: mensaje',
+    'menu.alertTemplate': '🧾 Formato: {style}',
+    'menu.profiles': '📁 Perfiles',
+    'menu.viewFilters': '🔍 Ver filtros',
+    'menu.clearAll': '🗑️ Borrar todo',
+    'menu.statusOn': 'ENCENDIDO 🔔',
+    'menu.statusOff': 'APAGADO 🔕',
+    'menu.quietOff': 'No (configúralas con /quiet)',
+    'menu.text': `🐋 Ajustes de Whaleooor Pingooor
+
+**Estado actual:**
+• Modo: {mode}
+• Pingoor: {status}
+• Dirección: {direction}
+• Entrega: {delivery}
+• Perfil: {profile}
+• Horas de silencio: {quiet}
+• Formato de alertas: {template}
+
+**Cómo funciona:**
+• **Todos los tokens + ENCENDIDO**: Alertas de todas las transacciones de ballenas (usa la lista negra para excluir)
+• **Filtro de tokens + ENCENDIDO**: Solo alertas de tokens en la lista blanca
+• **Solo primeras menciones + ENCENDIDO**: Solo alertas de tokens que aparecen por primera vez
+• **Vigilar ballenas + ENCENDIDO**: Solo alertas de swaps de ballenas vigiladas
+• **APAGADO**: Sin notificaciones (bot en pausa)
+
+**Configura tus ajustes:**
+• **Botón de modo**: Alterna entre Todos los tokens → Filtro de tokens → Solo primeras menciones → Vigilar ballenas
+• **Encender/Apagar**: Enciende o apaga el bot
+• **Dirección**: Alterna entre Compras y ventas → Solo compras → Solo ventas
+• **Entrega**: Alterna entre Tiempo real → Cada hora → Cada 4h → Resumen diario
+• **Lista blanca**: Añade tokens a vigilar (modo Filtro de tokens)
+• **Lista negra**: Excluye tokens (en todos los modos)
+• **Bloquear ballena**: Bloquea direcciones de ballenas concretas
+• **Vigilar ballena**: Sigue direcciones de ballenas concretas (modo Vigilar ballenas)
+• **Compra mínima/Capitalización/Liquidez/Cambio 24h**: Filtros adicionales
+• **Enfriamiento**: Agrupa las alertas repetidas de un token en un solo seguimiento (edita la primera alerta o envía un mensaje)
+• **Formato**: Tarjeta detallada, una línea compacta o tu propia plantilla
+• **Perfiles**: Cambia entre configuraciones guardadas (guárdalas con /profile save <nombre>)
+
+Elige una opción:`,
+    'cooldown.followupEdit': '✏️ Los seguimientos del enfriamiento editarán la alerta original.',
+    'cooldown.followupMessage': '💬 Los seguimientos del enfriamiento se enviarán como un único mensaje al final del periodo.',
+    'mode.changed': '🔄 Modo cambiado a: {mode}\n\n⚠️ Pingooor se ha APAGADO automáticamente por el cambio de modo. Usa /menu para volver a encenderlo cuando quieras.',
+    'direction.changed': '↕️ Dirección cambiada a: {direction}',
+    'delivery.changed': '📰 Entrega cambiada a: {mode}',
+    'delivery.realtimeNote': 'Los resúmenes pendientes se enviarán en la próxima revisión.',
+    'delivery.digestNote': 'Los swaps que coincidan se acumularán y se enviarán en un resumen por periodo.',
+    'notifications.enabled': '🔔 ¡Notificaciones de Pingoor activadas!',
+    'notifications.disabled': '🔕 ¡Notificaciones de Pingoor desactivadas!',
+    'clearAll.done': '✅ ¡Todos los filtros borrados!\n\n⚠️ Pingooor se ha APAGADO automáticamente. Usa /menu para volver a encenderlo cuando quieras.',
+
+    // Alerts
+    'alert.buy': '🟢 COMPRA',
+    'alert.sell': '🔴 VENTA',
+    'alert.newMention': '🆕 NUEVA MENCIÓN ',
+    'alert.firstSeen': ' 🆕 VISTO POR PRIMERA VEZ',
+    'alert.text': `{tag}¡Alerta de {side}!
+
+🐋 Ballena: [{whale}]({whaleUrl})
+💰 Token: [{symbol}]({tokenUrl}){firstSeen}
+📋 CA: \`{mint}\`
+📊 Cantidad: {amount}
+💵 Valor: {value}
+🏦 Capitalización: {marketCap}
+🔗 [Ver transacción]({txUrl})
+{trade}
+{why}
+#WhaleAlert #{symbol}`,
+    'alert.why': '🎯 Motivo: {reasons}\n',
+    'alert.compact': '{tag}{side} [{symbol}]({tokenUrl}) · {value} · Cap. {marketCap} · 🐋 [{whale}]({whaleUrl}) · [Tx]({txUrl})',
+
+    // Whale labels
+    'label.usage': `Uso:
+/label <dirección de la ballena> <nombre> - etiqueta una ballena en este chat
+/label global <dirección de la ballena> <nombre> - etiqueta una ballena para todos (solo administradores del bot)
+/unlabel [global] <dirección de la ballena> - quita una etiqueta
+/labels - muestra las etiquetas`,
+    'label.invalidAddress': '❌ No es una dirección de cartera de Solana válida.',
+    'label.invalidName': '❌ Las etiquetas deben tener de 1 a {max} caracteres y no pueden contener _ * ` [ ] ( )',
+    'label.limit': '❌ Puedes tener como máximo {max} etiquetas de ballenas. Quita alguna con /unlabel primero.',
+    'label.saved': '🏷️ {address} ahora se llama "{label}".',
+    'label.savedGlobal': '🏷️ {address} ahora se llama "{label}" para todos.',
+    'label.removed': '🗑️ Etiqueta quitada de {address}.',
+    'label.notFound': '❌ No hay ninguna etiqueta para {address}.',
+    'label.adminOnly': '⛔ Solo los administradores del bot pueden gestionar etiquetas globales.',
+    'label.error': '❌ Error al gestionar las etiquetas. Inténtalo de nuevo.',
+    'labels.empty': '🏷️ Aún no tienes etiquetas de ballenas.\n\n💡 Añade una con /label <dirección de la ballena> <nombre>',
+    'labels.title': '🏷️ Tus etiquetas de ballenas:',
+    'labels.globalTitle': '🌐 Etiquetas globales:',
+
+    // Admin commands
+    'admin.only': '⛔ Este comando es solo para administradores del bot.',
+    'admin.error': '❌ Error al ejecutar el comando de administración. Inténtalo de nuevo.',
+    'admin.stats': `📊 Estadísticas del bot
+
+👥 Usuarios: {users} ({active} con alertas ENCENDIDAS, {banned} bloqueados)
+🚫 Inaccesibles: {blocked} bloquearon el bot · {deactivated} desactivados · {chatNotFound} chats no encontrados
+📨 Alertas en las últimas 24 h: {sent24h} enviadas · {failed24h} fallidas · {queued24h} en cola
+📈 Desde el inicio: {alertsSent} enviadas · {alertsFailed} fallidas
+📬 Cola de envío: {queueSize} en espera · {queueRetried} reintentos · {queueRateLimited} límites de velocidad
+🔄 Última consulta: {poll}
+🧹 Swaps desde el inicio: {swapsAccepted} válidos · {swapsRejected} rechazados
+⏱️ Tiempo activo: {uptime}`,
+    'admin.pollNever': 'todavía no',
+    'admin.pollOk': '✅ hace {ago} · {swaps} swaps · {duration} ms',
+    'admin.pollFailed_one': '❌ hace {ago} · {error} ({count} fallo seguido, próximo intento en {retryIn})',
+    'admin.pollFailed_other': '❌ hace {ago} · {error} ({count} fallos seguidos, próximo intento en {retryIn})',
+    'admin.broadcastUsage': 'Uso: /broadcast <mensaje> (Markdown). Verás una vista previa antes de enviar nada.',
+    'admin.broadcastInvalid': '❌ No se pudo enviar el mensaje: revisa el formato Markdown.',
+    'admin.broadcastBusy': '⏳ Ya se está enviando un anuncio. Inténtalo cuando termine.',
+    'admin.broadcastConfirm_one': '👆 Vista previa. ¿Enviar esto a {count} chat?',
+    'admin.broadcastConfirm_other': '👆 Vista previa. ¿Enviar esto a {count} chats?',
+    'admin.broadcastSend': '📣 Enviar',
+    'admin.broadcastStarted': '📣 Anuncio en marcha. Recibirás un informe cuando termine.',
+    'admin.broadcastDone': '📣 Anuncio terminado: {sent} enviados, {failed} fallidos.',
+    'admin.banUsage': 'Uso: /ban <id de telegram> o /unban <id de telegram>',
+    'admin.cannotBanAdmin': '❌ No se puede bloquear a un administrador del bot.',
+    'admin.banned': '🚫 {id} está bloqueado: el bot lo ignora y no le envía alertas.',
+    'admin.unbanned': '✅ {id} ya no está bloqueado.',
+
+    // Alert action buttons
+    'alertButton.mute': '🔇 Silenciar token',
+    'alertButton.block': '🚫 Bloquear ballena',
+    'alertButton.watch': '👀 Vigilar token',
+    'alertButton.details': 'ℹ️ Detalles',
+    'alertAction.mt': '🔇 {symbol} añadido a tu lista negra de tokens: no recibirás más alertas suyas.',
+    'alertAction.bw': '🚫 Ballena {whale} añadida a tu lista negra de ballenas.',
+    'alertAction.wt': '👀 {symbol} añadido a tu lista blanca de tokens (se usa en el modo Filtro de tokens).',
+    'alertAction.already': 'ℹ️ Ya está en: {name}.',
+    'alertAction.undo': '↩️ Deshacer',
+    'alertAction.undone': '↩️ Deshecho: {value} eliminado de {name}.',
+    'alertAction.undoMissing': 'ℹ️ No hay nada que deshacer: el filtro ya se había eliminado.',
+    'alertAction.expired': '⌛ Esta alerta es demasiado antigua para acciones rápidas. Usa /menu.',
+
+    // Alert templates
+    'templateStyle.detailed': 'Detallado',
+    'templateStyle.compact': 'Compacto',
+    'templateStyle.custom': 'Personalizado',
+    'template.status': `🧾 Formato de alertas: {style}
+
+• Detallado - la tarjeta de alerta completa
+• Compacto - una línea por alerta
+• Personalizado - tu propia plantilla{custom}
+
+Toca un formato para usarlo, o 👁️ Vista previa para verlo con un swap de ejemplo.`,
+    'template.current': '\n\nTu plantilla personalizada:\n{template}',
+    'template.editCustom': '✏️ Editar plantilla',
+    'template.preview': '👁️ Vista previa',
+    'template.previewTitle': '👁️ Vista previa ({style}):',
+    'template.changed': '🧾 Formato de alertas cambiado a: {style}',
+    'template.saved': '✅ ¡Plantilla personalizada guardada y seleccionada!',
+    'template.invalid.empty': '❌ La plantilla está vacía.',
+    'template.invalid.too_long': '❌ Las plantillas pueden tener como máximo {max} caracteres.',
+    'template.invalid.unknown_placeholder': '❌ Marcador desconocido: {unknown}\n\nDisponibles: {placeholders}',
+    'template.invalid.no_placeholder': '❌ Usa al menos un marcador: {placeholders}',
+    'template.error': '❌ Error al cambiar el formato de alertas. Inténtalo de nuevo.',
+
+    // Why an alert fired
+    'reason.firstMention': 'Primera mención',
+    'reason.whitelisted': 'Token en lista blanca',
+    'reason.watchedWhale': 'Ballena vigilada',
+    'reason.allTokens': 'Todos los tokens',
+    'reason.buysOnly': 'Solo compras',
+    'reason.sellsOnly': 'Solo ventas',
+    'reason.buyBoth': 'Compra (compras y ventas)',
+    'reason.sellBoth': 'Venta (compras y ventas)',
+    'reason.minPurchase': 'Valor ≥ {value}',
+    'reason.minMarketCap': 'Cap. ≥ {value}',
+    'reason.maxMarketCap': 'Cap. ≤ {value}',
+    'reason.minLiquidity': 'Liquidez ≥ {value}',
+    'reason.priceChange': '24h {range}',
+    'range.between': 'de {min}% a {max}%',
+    'range.min': '≥ {min}%',
+    'range.max': '≤ {max}%',
+
+    // Quiet hours summary
+    'quietSummary.text': `🌅 ¡Se acabaron las horas de silencio!
+
+{intro}
+🟢 Compras: {buys}
+🔴 Ventas: {sells}
+💵 Valor total: {total}
+
+*Tokens principales:*
+{tokens}`,
+    'quietSummary.intro_one': 'Mientras no estabas, se silenció {count} alerta:',
+    'quietSummary.intro_other': 'Mientras no estabas, se silenciaron {count} alertas:',
+    'quietSummary.token_one': '  • {symbol}: {count} alerta',
+    'quietSummary.token_other': '  • {symbol}: {count} alertas',
+
+    // Digest
+    'digest.text': `📰 Resumen de ballenas ({period})
+
+{swaps} swaps coincidentes en {tokens} tokens
+
+{sections}{more}
+
+{trade}`,
+    'digest.token': `💰 [{symbol}]({tokenUrl})
+🟢 Compras: {buys} ({buyValue}) · 🔴 Ventas: {sells} ({sellValue})
+🐋 Ballenas: {whales} · Mayor: {side} {value} de [{whale}]({whaleUrl})`,
+    'digest.more': '\n\n➕ {count} tokens más',
+    'digest.period.digest_1h': 'última hora',
+    'digest.period.digest_4h': 'últimas 4 horas',
+    'digest.period.digest_24h': 'últimas 24 horas',
+    'digest.period.default': 'swaps pendientes',
+
+    // Token cooldown follow-up, e.g. "➕ +4 compras de ballenas más de BONK por un total de 120 mil US$"
+    'followUp.text': '➕ +{count} {what} de ballenas más de {symbol} por un total de {total}',
+    'followUp.buy_one': 'compra',
+    'followUp.buy_other': 'compras',
+    'followUp.sell_one': 'venta',
+    'followUp.sell_other': 'ventas',
+    'followUp.mixed': 'swaps ({buys}, {sells})',
+
+    // Inline token activity
+    'activity.text': `🐋 Actividad de ballenas: [{symbol}]({tokenUrl})
+
+📋 CA: \`{mint}\`
+🏦 Capitalización: {marketCap}
+🟢 Compras: {buys} ({buyValue})
+🔴 Ventas: {sells} ({sellValue})
+
+*Últimas alertas:*
+{lastSwaps}
+
+{trade}`,
+    'activity.swap': '{side} {value} de [{whale}]({whaleUrl}) · hace {minutes} min'
+  }
+};
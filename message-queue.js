@@ -0,0 +1,139 @@
+const { GrammyError, HttpError } = require('grammy');
+
+// Outbound Telegram calls (sendMessage, editMessageText, ...) paced to stay under the
+// Bot API limits: ~30 messages/s overall, 1/s per private chat and 20/min per group.
+// Jobs run in the background, so callers are never held up by a busy queue.
+// A 429 pauses the whole queue for the retry_after Telegram asks for; network and
+// server errors are retried with backoff; anything else fails the job right away.
+class MessageQueue {
+  constructor(api, options = {}) {
+    this.api = api;
+    this.globalInterval = options.globalInterval ?? 40; // ms between any two calls (~25/s)
+    this.chatInterval = options.chatInterval ?? 1000; // ms between calls to one private chat
+    this.groupInterval = options.groupInterval ?? 3000; // ms between calls to one group or channel
+    this.maxRetries = options.maxRetries ?? 3;
+    this.maxSize = options.maxSize ?? 10000;
+
+    this.jobs = [];
+    this.running = false;
+    this.lastCallAt = 0;
+    this.pausedUntil = 0;
+    this.chatLastCallAt = new Map();
+    this.nextId = 1;
+    this.counts = { sent: 0, failed: 0, retried: 0, rateLimited: 0 };
+  }
+
+  get size() {
+    return this.jobs.length;
+  }
+
+  // Queue an API call for a chat. Lower priority numbers go first (0 = alerts, 1 = bulk).
+  // Returns: a promise for the API result that rejects with the last error once the job fails
+  schedule(chatId, method, args, priority = 0) {
+    if (this.jobs.length >= this.maxSize) {
+      this.counts.failed++;
+      return Promise.reject(new Error('Message queue is full'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.jobs.push({ id: this.nextId++, chatId, method, args, priority, attempts: 0, notBefore: 0, resolve, reject });
+      this.jobs.sort((a, b) => a.priority - b.priority || a.id - b.id);
+      if (!this.running) {
+        this.run();
+      }
+    });
+  }
+
+  sendMessage(chatId, text, options = {}, priority = 0) {
+    return this.schedule(chatId, 'sendMessage', [chatId, text, options], priority);
+  }
+
+  editMessageText(chatId, messageId, text, options = {}, priority = 0) {
+    return this.schedule(chatId, 'editMessageText', [chatId, messageId, text, options], priority);
+  }
+
+  async run() {
+    this.running = true;
+
+    try {
+      while (this.jobs.length > 0) {
+        const now = Date.now();
+        const globalReadyAt = Math.max(this.pausedUntil, this.lastCallAt + this.globalInterval);
+        if (now < globalReadyAt) {
+          await this.sleep(globalReadyAt - now);
+          continue;
+        }
+
+        // First job (by priority) whose chat is ready and whose retry backoff has passed
+        const index = this.jobs.findIndex(job => this.getReadyAt(job) <= now);
+        if (index === -1) {
+          const wakeAt = Math.min(...this.jobs.map(job => this.getReadyAt(job)));
+          await this.sleep(Math.max(wakeAt - now, 1));
+          continue;
+        }
+
+        const [job] = this.jobs.splice(index, 1);
+        await this.execute(job);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async execute(job) {
+    job.attempts++;
+    this.lastCallAt = Date.now();
+    this.chatLastCallAt.set(String(job.chatId), this.lastCallAt);
+
+    try {
+      const result = await this.api[job.method](...job.args);
+      this.counts.sent++;
+      job.resolve(result);
+    } catch (error) {
+      const retryAfter = error instanceof GrammyError ? error.parameters?.retry_after : undefined;
+
+      if (!this.isRetryable(error) || job.attempts > this.maxRetries) {
+        this.counts.failed++;
+        job.reject(error);
+        return;
+      }
+
+      this.counts.retried++;
+      if (retryAfter !== undefined) {
+        // Flood control applies to the whole bot, so everything waits
+        this.counts.rateLimited++;
+        this.pausedUntil = Date.now() + retryAfter * 1000;
+      } else {
+        job.notBefore = Date.now() + 1000 * 2 ** (job.attempts - 1); // 1s, 2s, 4s...
+      }
+
+      this.jobs.push(job);
+      this.jobs.sort((a, b) => a.priority - b.priority || a.id - b.id);
+    }
+  }
+
+  // Network errors, server errors and flood waits may succeed later
+  isRetryable(error) {
+    if (error instanceof HttpError) return true;
+    if (!(error instanceof GrammyError)) return false;
+    return error.parameters?.retry_after !== undefined || error.error_code >= 500;
+  }
+
+  // Errors Telegram will keep returning for the same message (bad Markdown, blocked chat, ...)
+  isPermanentFailure(error) {
+    return error instanceof GrammyError && !this.isRetryable(error);
+  }
+
+  // Earliest time a job may run: after its backoff and the chat's pacing interval
+  getReadyAt(job) {
+    const interval = Number(job.chatId) < 0 ? this.groupInterval : this.chatInterval;
+    const chatReadyAt = (this.chatLastCallAt.get(String(job.chatId)) || 0) + interval;
+    return Math.max(job.notBefore, chatReadyAt);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = MessageQueue;
@@ -0,0 +1,90 @@
+// Runs an async task repeatedly without ever overlapping: the next run is only scheduled once
+// the current one has finished. Runs start every `interval` ms (sooner if a run took most of
+// the interval, or when triggered, but never less than `minDelay` after the last one ended);
+// after a failure (the task threw) the delay doubles up to `maxBackoff`.
+class Scheduler {
+  constructor(task, options = {}) {
+    this.task = task;
+    this.interval = options.interval ?? 10000;
+    this.maxBackoff = options.maxBackoff ?? 5 * 60 * 1000;
+    this.minDelay = options.minDelay ?? 1000; // gap always kept between two runs
+
+    this.timer = null;
+    this.running = false;
+    this.pending = false;
+    this.stopped = true;
+    this.failures = 0; // consecutive
+    this.nextRunAt = null;
+    this.lastEndedAt = 0;
+    this.lastCycle = null; // { startedAt, durationMs, ok, result, error }
+  }
+
+  start() {
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  // Run as soon as `minDelay` allows (e.g. when a push source has new data). A request during
+  // a run queues one more run after it; requests are ignored while backing off.
+  trigger() {
+    if (this.stopped || this.failures > 0) return;
+
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+
+    const runAt = Math.max(Date.now(), this.lastEndedAt + this.minDelay);
+    if (this.nextRunAt === null || this.nextRunAt > runAt) {
+      this.schedule(runAt - Date.now());
+    }
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.nextRunAt = Date.now() + delay;
+    this.timer = setTimeout(() => this.runCycle(), delay);
+  }
+
+  async runCycle() {
+    this.timer = null;
+    this.running = true;
+    this.pending = false;
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.task();
+      this.failures = 0;
+      this.lastCycle = { startedAt, durationMs: Date.now() - startedAt, ok: true, result };
+    } catch (error) {
+      this.failures++;
+      this.lastCycle = { startedAt, durationMs: Date.now() - startedAt, ok: false, error: error.message };
+    } finally {
+      this.running = false;
+      this.lastEndedAt = Date.now();
+    }
+
+    if (this.stopped) return;
+    this.schedule(this.getDelay(this.lastCycle.durationMs));
+  }
+
+  // Delay before the next run, counted from the end of the last one
+  getDelay(durationMs) {
+    if (this.failures > 0) {
+      return Math.min(this.interval * 2 ** this.failures, this.maxBackoff);
+    }
+    if (this.pending) {
+      return this.minDelay;
+    }
+    return Math.max(this.interval - durationMs, this.minDelay);
+  }
+}
+
+module.exports = Scheduler;
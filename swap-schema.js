@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+// Validation and normalization of incoming swap records. Whatever the source sends, the rest
+// of the bot gets swaps of this shape (bad records are dropped and counted by reason):
+//   {
+//     signature: string,
+//     feePayer: string (base58 address),
+//     timestamp: number (ms) | null,
+//     inputToken / outputToken: { mint: string, amount: number, metadata: { symbol?, name? } }
+//   }
+class SwapSchema {
+  constructor() {
+    this.ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+    this.rejections = new Map(); // reason -> count since start
+    this.accepted = 0;
+
+    // Sources resend records (the API returns an overlapping window every poll), so each record
+    // is counted once. Hashes of recently counted records, oldest first
+    this.countedRecords = new Set();
+    this.maxCountedRecords = 10000;
+  }
+
+  get rejectedCount() {
+    let total = 0;
+    for (const count of this.rejections.values()) total += count;
+    return total;
+  }
+
+  // Normalize a batch, dropping invalid records
+  // Returns: the valid swaps, normalized
+  normalizeBatch(records) {
+    const swaps = [];
+
+    for (const record of records) {
+      const { swap, reason } = this.normalize(record);
+      if (swap) {
+        swaps.push(swap);
+      }
+
+      if (!this.markCounted(record)) continue;
+      if (swap) {
+        this.accepted++;
+      } else {
+        this.rejections.set(reason, (this.rejections.get(reason) || 0) + 1);
+      }
+    }
+
+    return swaps;
+  }
+
+  // Returns: true the first time a record is seen (false if it was counted recently)
+  markCounted(record) {
+    const key = crypto.createHash('sha1').update(JSON.stringify(record) ?? String(record)).digest('hex');
+    if (this.countedRecords.has(key)) return false;
+
+    this.countedRecords.add(key);
+    if (this.countedRecords.size > this.maxCountedRecords) {
+      this.countedRecords.delete(this.countedRecords.values().next().value);
+    }
+    return true;
+  }
+
+  // Returns: { swap } for a valid record, or { reason } explaining the rejection
+  normalize(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { reason: 'not_an_object' };
+    }
+
+    if (typeof record.signature !== 'string' || !record.signature.trim()) {
+      return { reason: 'missing_signature' };
+    }
+
+    if (typeof record.feePayer !== 'string' || !this.ADDRESS_PATTERN.test(record.feePayer.trim())) {
+      return { reason: 'invalid_fee_payer' };
+    }
+
+    const timestamp = this.normalizeTimestamp(record.timestamp);
+    if (timestamp === undefined) {
+      return { reason: 'invalid_timestamp' };
+    }
+
+    const inputToken = this.normalizeToken(record.inputToken);
+    if (inputToken.reason) {
+      return { reason: `input_${inputToken.reason}` };
+    }
+
+    const outputToken = this.normalizeToken(record.outputToken);
+    if (outputToken.reason) {
+      return { reason: `output_${outputToken.reason}` };
+    }
+
+    return {
+      swap: {
+        signature: record.signature.trim(),
+        feePayer: record.feePayer.trim(),
+        timestamp,
+        inputToken: inputToken.token,
+        outputToken: outputToken.token
+      }
+    };
+  }
+
+  // Returns: { token } or { reason }
+  normalizeToken(token) {
+    if (!token || typeof token !== 'object') {
+      return { reason: 'missing_token' };
+    }
+
+    const mint = typeof token.mint === 'string' ? token.mint.trim() : '';
+    if (!this.ADDRESS_PATTERN.test(mint)) {
+      return { reason: 'invalid_mint' };
+    }
+
+    // Amounts may arrive as numeric strings
+    const amount = typeof token.amount === 'string' && token.amount.trim() !== '' ? Number(token.amount) : token.amount;
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+      return { reason: 'invalid_amount' };
+    }
+
+    // Symbol and name are optional (looked up by mint when missing)
+    const metadata = {};
+    for (const field of ['symbol', 'name']) {
+      const value = token.metadata?.[field];
+      if (typeof value === 'string' && value.trim()) {
+        metadata[field] = value.trim();
+      }
+    }
+
+    return { token: { mint, amount, metadata } };
+  }
+
+  // Unix seconds, milliseconds, numeric strings or ISO dates -> ms
+  // Returns: ms, null if there is no timestamp, or undefined if it can't be parsed
+  normalizeTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    let ms;
+    if (typeof value === 'number' || (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim()))) {
+      const number = Number(value);
+      ms = number < 1e12 ? number * 1000 : number;
+    } else if (typeof value === 'string') {
+      ms = Date.parse(value);
+    }
+
+    return Number.isFinite(ms) && ms > 0 ? Math.round(ms) : undefined;
+  }
+}
+
+module.exports = SwapSchema;
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const WebSocket = require('ws');
+
+// Swap sources feed the monitoring cycle. Every source has the same interface:
+//   start()      - open connections / load data (called once when monitoring starts)
+//   fetchSwaps() - swaps not yet acknowledged (may be empty; throws if the source is down)
+//   ack()        - the swaps from the last fetchSwaps() were processed; called once a cycle succeeds
+//   stop()
+//   onSwaps      - set by the bot; push sources call it when swaps arrive so a cycle runs right away
+//   useCursor    - false for sources whose swaps are older than the live poll cursor (replays)
+
+// Polls an HTTP endpoint that returns a JSON array of recent swaps (the original behaviour)
+class HttpSwapSource {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.useCursor = true;
+    this.onSwaps = null;
+    this.timeout = options.timeout ?? 15000; // ms for the whole request, body included
+  }
+
+  async start() {}
+
+  // A hung request would hold up every following cycle, so it's aborted and the cycle fails
+  async fetchSwaps() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const swaps = await response.json();
+      return Array.isArray(swaps) ? swaps : [];
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new Error(`Timed out after ${this.timeout / 1000}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  ack() {}
+
+  stop() {}
+}
+
+// Consumes a push feed: ws:// or wss:// URLs are read as a WebSocket, http(s):// URLs as
+// Server-Sent Events. Each message is a swap or an array of swaps. Swaps are buffered
+// until a cycle acknowledges them and the connection is retried with backoff when it drops.
+class StreamSwapSource {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.useCursor = true;
+    this.onSwaps = null;
+    this.maxBuffer = options.maxBuffer ?? 5000;
+    this.maxReconnectDelay = options.maxReconnectDelay ?? 30000;
+
+    this.buffer = [];
+    this.fetched = 0; // swaps at the front of the buffer handed to the running cycle
+    this.connected = false;
+    this.stopped = false;
+    this.lastError = null;
+    this.reconnectDelay = 1000;
+    this.reconnectTimer = null;
+    this.socket = null;
+    this.abortController = null;
+  }
+
+  async start() {
+    this.stopped = false;
+    this.connect();
+  }
+
+  async fetchSwaps() {
+    if (!this.connected && this.buffer.length === 0) {
+      throw new Error(this.lastError || 'Stream not connected');
+    }
+
+    // Swaps stay buffered until ack(), so a failed cycle gets them again
+    this.fetched = this.buffer.length;
+    return this.buffer.slice();
+  }
+
+  ack() {
+    this.buffer.splice(0, this.fetched);
+    this.fetched = 0;
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.socket?.close();
+    this.abortController?.abort();
+  }
+
+  connect() {
+    if (/^wss?:\/\//i.test(this.url)) {
+      this.connectWebSocket();
+    } else {
+      this.connectEventStream().catch(error => this.handleDisconnect(error));
+    }
+  }
+
+  connectWebSocket() {
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.on('open', () => this.handleConnect());
+    socket.on('message', data => this.handleMessage(data.toString()));
+    socket.on('error', error => {
+      this.lastError = error.message;
+    });
+    socket.on('close', () => this.handleDisconnect());
+  }
+
+  async connectEventStream() {
+    this.abortController = new AbortController();
+    const response = await fetch(this.url, {
+      headers: { Accept: 'text/event-stream' },
+      signal: this.abortController.signal
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    this.handleConnect();
+
+    // Events are separated by a blank line; an event's data: lines are joined with newlines
+    const decoder = new TextDecoder();
+    let pending = '';
+    for await (const chunk of response.body) {
+      pending += decoder.decode(chunk, { stream: true }).replace(/\r\n?/g, '\n');
+
+      let boundary;
+      while ((boundary = pending.indexOf('\n\n')) !== -1) {
+        const event = pending.slice(0, boundary);
+        pending = pending.slice(boundary + 2);
+
+        const data = event.split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).replace(/^ /, ''))
+          .join('\n');
+        if (data) {
+          this.handleMessage(data);
+        }
+      }
+    }
+
+    this.handleDisconnect();
+  }
+
+  handleConnect() {
+    this.connected = true;
+    this.lastError = null;
+    this.reconnectDelay = 1000;
+  }
+
+  handleMessage(data) {
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      return; // Keep-alives and malformed messages are ignored
+    }
+
+    const swaps = (Array.isArray(parsed) ? parsed : [parsed]).filter(swap => swap && typeof swap === 'object');
+    if (swaps.length === 0) return;
+
+    // Drop the oldest swaps if cycles can't keep up
+    this.buffer.push(...swaps);
+    if (this.buffer.length > this.maxBuffer) {
+      const dropped = this.buffer.length - this.maxBuffer;
+      this.buffer.splice(0, dropped);
+      this.fetched = Math.max(this.fetched - dropped, 0);
+    }
+
+    if (this.onSwaps) {
+      this.onSwaps();
+    }
+  }
+
+  handleDisconnect(error = null) {
+    this.connected = false;
+    if (error) {
+      this.lastError = error.message;
+    }
+    if (this.stopped) return;
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+  }
+}
+
+// Replays a JSONL file (one swap, or one array of swaps, per line) in batches, one batch per
+// successful cycle.
+// Useful for testing filters against recorded traffic; invalid lines are skipped and counted.
+class ReplaySwapSource {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.batchSize = options.batchSize ?? 50;
+    this.useCursor = false;
+    this.onSwaps = null;
+
+    this.swaps = [];
+    this.position = 0;
+    this.fetched = 0;
+    this.invalidLines = 0;
+  }
+
+  async start() {
+    const content = await fs.promises.readFile(this.filePath, 'utf8');
+    this.swaps = [];
+    this.position = 0;
+    this.invalidLines = 0;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        const parsed = JSON.parse(line);
+        this.swaps.push(...(Array.isArray(parsed) ? parsed : [parsed]));
+      } catch (error) {
+        this.invalidLines++;
+      }
+    }
+  }
+
+  async fetchSwaps() {
+    const batch = this.swaps.slice(this.position, this.position + this.batchSize);
+    this.fetched = batch.length;
+    return batch;
+  }
+
+  ack() {
+    this.position += this.fetched;
+    this.fetched = 0;
+  }
+
+  stop() {}
+}
+
+// Build the source selected by SWAP_SOURCE (http, stream or replay)
+function createSwapSource(env = process.env) {
+  const type = (env.SWAP_SOURCE || 'http').toLowerCase();
+
+  switch (type) {
+    case 'http':
+      return new HttpSwapSource(env.WHALE_API_URL || 'http://localhost:3000/api/swaps');
+    case 'stream':
+      if (!env.WHALE_STREAM_URL) {
+        throw new Error('SWAP_SOURCE=stream requires WHALE_STREAM_URL');
+      }
+      return new StreamSwapSource(env.WHALE_STREAM_URL);
+    case 'replay':
+      if (!env.SWAP_REPLAY_FILE) {
+        throw new Error('SWAP_SOURCE=replay requires SWAP_REPLAY_FILE');
+      }
+      return new ReplaySwapSource(env.SWAP_REPLAY_FILE, { batchSize: parseInt(env.SWAP_REPLAY_BATCH) || undefined });
+    default:
+      throw new Error(`Unknown SWAP_SOURCE "${type}" (use http, stream or replay)`);
+  }
+}
+
+module.exports = { HttpSwapSource, StreamSwapSource, ReplaySwapSource, createSwapSource };